@@ -0,0 +1,330 @@
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const mongoose = require('mongoose');
+const { ROLES, outranks } = require('../utils/permissions');
+const { removeTweet } = require('../utils/tweetRemoval');
+const VerificationRequest = require('../models/VerificationRequest');
+const VerificationAudit = require('../models/VerificationAudit');
+const { setVerifiedStatus, notifyRequestRejected } = require('../utils/verification');
+
+// Find a user by id for an admin action
+const findTargetUser = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  
+  return User.findById(id);
+};
+
+// Format a user for admin responses
+const formatAdminUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  username: user.username,
+  role: user.role,
+  isVerified: user.isVerified,
+  isSuspended: user.isSuspended(),
+  suspendedAt: user.suspendedAt,
+  suspendedUntil: user.suspendedUntil,
+  suspensionReason: user.suspensionReason
+});
+
+// @desc    Delete any tweet
+// @route   DELETE /api/admin/tweets/:id
+// @access  Private (moderate:tweets)
+const deleteAnyTweet = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const tweet = await Tweet.findById(id);
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    await removeTweet(tweet);
+    
+    res.json({ message: 'Tweet deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set a user's verified badge
+// @route   PUT /api/admin/users/:id/verified
+// @access  Private (verify:users)
+const setUserVerified = async (req, res, next) => {
+  try {
+    const { isVerified, reason } = req.body;
+    
+    if (typeof isVerified !== 'boolean') {
+      return res.status(400).json({ message: 'isVerified must be a boolean' });
+    }
+    
+    const user = await findTargetUser(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await setVerifiedStatus(user, isVerified, { actor: req.user._id, reason });
+    
+    res.json(formatAdminUser(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Find a pending verification request for review
+const findPendingRequest = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  
+  return VerificationRequest.findOne({ _id: id, status: 'pending' });
+};
+
+// Record the decision on a verification request
+const closeRequest = (request, status, reviewer, reason) => {
+  request.status = status;
+  request.reviewedBy = reviewer._id;
+  request.reviewedAt = new Date();
+  request.decisionReason = reason || '';
+  
+  return request.save();
+};
+
+// @desc    Get verification requests
+// @route   GET /api/admin/verification-requests
+// @access  Private (verify:users)
+const getVerificationRequests = async (req, res, next) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    
+    // Oldest pending requests are reviewed first
+    const requests = await VerificationRequest.find({ status })
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .populate('user', '_id name username profileImageUrl bio isVerified followerCount createdAt')
+      .populate('reviewedBy', '_id username');
+    
+    res.json(requests);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a verification request
+// @route   POST /api/admin/verification-requests/:id/approve
+// @access  Private (verify:users)
+const approveVerificationRequest = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    
+    const request = await findPendingRequest(req.params.id);
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Pending verification request not found' });
+    }
+    
+    const user = await User.findById(request.user);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await closeRequest(request, 'approved', req.user, reason);
+    await setVerifiedStatus(user, true, { actor: req.user._id, reason, request: request._id });
+    
+    res.json({ message: 'Verification request approved', user: formatAdminUser(user) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a verification request
+// @route   POST /api/admin/verification-requests/:id/reject
+// @access  Private (verify:users)
+const rejectVerificationRequest = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to reject a request' });
+    }
+    
+    const request = await findPendingRequest(req.params.id);
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Pending verification request not found' });
+    }
+    
+    await closeRequest(request, 'rejected', req.user, reason);
+    await notifyRequestRejected(request.user, reason);
+    
+    res.json({ message: 'Verification request rejected' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a user's verified badge
+// @route   POST /api/admin/users/:id/verification/revoke
+// @access  Private (verify:users)
+const revokeVerification = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to revoke a badge' });
+    }
+    
+    const user = await findTargetUser(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!user.isVerified) {
+      return res.status(400).json({ message: 'User is not verified' });
+    }
+    
+    await setVerifiedStatus(user, false, { actor: req.user._id, reason });
+    
+    res.json(formatAdminUser(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the verified badge history of a user
+// @route   GET /api/admin/users/:id/verification/audit
+// @access  Private (verify:users)
+const getVerificationAudit = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const entries = await VerificationAudit.find({ user: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate('actor', '_id username')
+      .populate('request', '_id category links status');
+    
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Suspend a user
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private (suspend:users)
+const suspendUser = async (req, res, next) => {
+  try {
+    const { reason, durationHours } = req.body;
+    
+    if (durationHours !== undefined && !(Number(durationHours) > 0)) {
+      return res.status(400).json({ message: 'durationHours must be a positive number' });
+    }
+    
+    const user = await findTargetUser(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Staff can only suspend accounts with a lower role
+    if (!outranks(req.user, user)) {
+      return res.status(403).json({ message: 'Not authorized to suspend this user' });
+    }
+    
+    user.suspendedAt = new Date();
+    user.suspendedUntil = durationHours
+      ? new Date(Date.now() + Number(durationHours) * 60 * 60 * 1000)
+      : undefined;
+    user.suspensionReason = reason || '';
+    user.suspendedBy = req.user._id;
+    await user.save();
+    
+    res.json(formatAdminUser(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift a user's suspension
+// @route   POST /api/admin/users/:id/unsuspend
+// @access  Private (suspend:users)
+const unsuspendUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!outranks(req.user, user)) {
+      return res.status(403).json({ message: 'Not authorized to unsuspend this user' });
+    }
+    
+    user.suspendedAt = undefined;
+    user.suspendedUntil = undefined;
+    user.suspensionReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save();
+    
+    res.json(formatAdminUser(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (manage:roles)
+const setUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    
+    const user = await findTargetUser(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Prevent admins from locking themselves out
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+    
+    user.role = role;
+    await user.save();
+    
+    res.json(formatAdminUser(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  deleteAnyTweet,
+  setUserVerified,
+  getVerificationRequests,
+  approveVerificationRequest,
+  rejectVerificationRequest,
+  revokeVerification,
+  getVerificationAudit,
+  suspendUser,
+  unsuspendUser,
+  setUserRole
+};
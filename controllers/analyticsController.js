@@ -0,0 +1,134 @@
+
+const Tweet = require('../models/Tweet');
+const TweetStats = require('../models/TweetStats');
+const UserStats = require('../models/UserStats');
+const mongoose = require('mongoose');
+const {
+  startOfDay,
+  parseDays,
+  buildDailySeries,
+  engagementRate,
+  DAY_MS
+} = require('../utils/analytics');
+
+// Sum a field over a daily series
+const sum = (series, field) => series.reduce((total, point) => total + point[field], 0);
+
+// @desc    Get analytics for the current user's profile and tweets
+// @route   GET /api/users/me/analytics
+// @access  Private
+const getMyAnalytics = async (req, res, next) => {
+  try {
+    const days = parseDays(req.query.days);
+    
+    if (!days) {
+      return res.status(400).json({ message: 'days must be between 1 and 90' });
+    }
+    
+    const since = new Date(startOfDay().getTime() - (days - 1) * DAY_MS);
+    
+    const buckets = await UserStats.find({ user: req.user._id, day: { $gte: since } });
+    
+    const series = buildDailySeries(buckets, days, [
+      'impressions',
+      'engagements',
+      'profileViews',
+      'followersGained',
+      'followersLost'
+    ]).map(point => ({
+      ...point,
+      engagementRate: engagementRate(point.engagements, point.impressions),
+      netFollowers: point.followersGained - point.followersLost
+    }));
+    
+    const impressions = sum(series, 'impressions');
+    const engagements = sum(series, 'engagements');
+    
+    res.json({
+      days,
+      totals: {
+        impressions,
+        engagements,
+        engagementRate: engagementRate(engagements, impressions),
+        profileViews: sum(series, 'profileViews'),
+        followersGained: sum(series, 'followersGained'),
+        followersLost: sum(series, 'followersLost'),
+        netFollowers: sum(series, 'netFollowers')
+      },
+      followerCount: req.user.followerCount,
+      series
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get analytics for a tweet
+// @route   GET /api/tweets/:id/analytics
+// @access  Private
+const getTweetAnalytics = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const days = parseDays(req.query.days);
+    
+    if (!days) {
+      return res.status(400).json({ message: 'days must be between 1 and 90' });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const tweet = await Tweet.findById(id);
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    // Only the author can see a tweet's analytics
+    if (tweet.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view analytics for this tweet' });
+    }
+    
+    const since = new Date(startOfDay().getTime() - (days - 1) * DAY_MS);
+    
+    const buckets = await TweetStats.find({ tweet: tweet._id, day: { $gte: since } });
+    
+    const series = buildDailySeries(buckets, days, ['impressions', 'likes', 'retweets', 'replies', 'quotes'])
+      .map(point => {
+        const engagements = point.likes + point.retweets + point.replies + point.quotes;
+        
+        return {
+          ...point,
+          engagements,
+          engagementRate: engagementRate(engagements, point.impressions)
+        };
+      });
+    
+    const impressions = sum(series, 'impressions');
+    const engagements = sum(series, 'engagements');
+    
+    res.json({
+      tweet: tweet._id,
+      days,
+      totals: {
+        impressions,
+        likes: sum(series, 'likes'),
+        retweets: sum(series, 'retweets'),
+        replies: sum(series, 'replies'),
+        quotes: sum(series, 'quotes'),
+        engagements,
+        engagementRate: engagementRate(engagements, impressions)
+      },
+      series
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyAnalytics,
+  getTweetAnalytics
+};
@@ -0,0 +1,117 @@
+const ApiToken = require('../models/ApiToken');
+const mongoose = require('mongoose');
+const { API_TOKEN_PREFIX } = require('../middleware/authMiddleware');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// Maximum number of active tokens per user
+const MAX_ACTIVE_TOKENS = 25;
+
+// Format a token for responses (never includes the secret)
+const formatToken = (apiToken) => ({
+  _id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  lastUsedAt: apiToken.lastUsedAt,
+  expiresAt: apiToken.expiresAt,
+  createdAt: apiToken.createdAt
+});
+
+// @desc    Get personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+const getApiTokens = async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.find({
+      user: req.user._id,
+      revokedAt: null
+    }).sort({ createdAt: -1 });
+    
+    res.json({
+      tokens: tokens.map(formatToken),
+      availableScopes: ApiToken.API_TOKEN_SCOPES
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a personal access token
+// @route   POST /api/auth/tokens
+// @access  Private
+const createApiToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    
+    if (!Array.isArray(scopes)) {
+      return res.status(400).json({ message: 'Scopes must be an array' });
+    }
+    
+    if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+      return res.status(400).json({ message: 'expiresInDays must be a positive number' });
+    }
+    
+    const activeCount = await ApiToken.countDocuments({
+      user: req.user._id,
+      revokedAt: null
+    });
+    
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({ message: `You can have at most ${MAX_ACTIVE_TOKENS} active tokens` });
+    }
+    
+    // Only the hash of the token is stored
+    const token = `${API_TOKEN_PREFIX}${generateRandomToken()}`;
+    
+    const apiToken = await ApiToken.create({
+      user: req.user._id,
+      name,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+    
+    // The plain token is only returned once
+    res.status(201).json({
+      ...formatToken(apiToken),
+      token
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+const revokeApiToken = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+    
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    
+    if (!apiToken) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+    
+    res.json({ message: 'Token revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken
+};
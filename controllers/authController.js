@@ -1,7 +1,32 @@
 
 const User = require('../models/User');
-const { generateToken, generateRefreshToken } = require('../middleware/authMiddleware');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const {
+  sendVerificationEmail,
+  verifyEmailVerificationToken
+} = require('../utils/emailVerification');
+const { sendPasswordResetEmail } = require('../utils/passwordReset');
+const { hashToken } = require('../utils/tokens');
+const { generateTwoFactorChallenge } = require('../utils/twoFactor');
+const {
+  sendLockedResponse,
+  sendSuspendedResponse,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginProtection');
+const { cancelAccountDeletion } = require('../utils/accountDeletion');
+const { isUsernameAvailable } = require('../utils/usernames');
+
+// Minimum time between two verification emails
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -23,6 +48,11 @@ const registerUser = async (req, res, next) => {
       });
     }
     
+    // Handles recently given up by other users are still reserved
+    if (username && !(await isUsernameAvailable(username))) {
+      return res.status(400).json({ message: 'Username already exists' });
+    }
+    
     // Create user
     const user = await User.create({
       name,
@@ -31,12 +61,17 @@ const registerUser = async (req, res, next) => {
       password
     });
     
-    // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Start a session and generate tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
+    
+    // Send verification email (registration still succeeds if delivery fails)
+    try {
+      await sendVerificationEmail(user);
+      user.emailVerificationSentAt = new Date();
+    } catch (mailError) {
+      console.error('Verification email error:', mailError.message);
+    }
     
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
     await user.save();
     
     res.status(201).json({
@@ -44,6 +79,7 @@ const registerUser = async (req, res, next) => {
       name: user.name,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       accessToken,
       refreshToken
     });
@@ -59,21 +95,53 @@ const loginUser = async (req, res, next) => {
   try {
     const { email, password } = req.body;
     
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+    
     // Find user by email
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email: String(email).toLowerCase() })
+      .select('+password +failedLoginAttempts +lockUntil');
     
-    // Check if user exists and password matches
-    if (!user || !(await user.matchPassword(password))) {
+    if (!user) {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
     
-    // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Reject attempts while the account is locked
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user.lockUntil);
+    }
     
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Check if password matches
+    if (!(await user.matchPassword(String(password)))) {
+      const lockUntil = await recordFailedLogin(user, req);
+      
+      if (lockUntil) {
+        return sendLockedResponse(res, lockUntil);
+      }
+      
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+    
+    if (user.isSuspended()) {
+      return sendSuspendedResponse(res, user);
+    }
+    
+    // Accounts with 2FA must complete a second step before getting tokens
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      });
+    }
+    
+    await clearFailedLogins(user);
+    
+    // Logging in during the grace period restores a deleted account
+    const accountRestored = await cancelAccountDeletion(user);
+    
+    // Start a session and generate tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
     
     res.json({
       user: {
@@ -82,10 +150,12 @@ const loginUser = async (req, res, next) => {
         username: user.username,
         email: user.email,
         profileImageUrl: user.profileImageUrl,
-        isVerified: user.isVerified
+        isVerified: user.isVerified,
+        emailVerified: user.emailVerified
       },
       accessToken,
-      refreshToken
+      refreshToken,
+      accountRestored
     });
   } catch (error) {
     next(error);
@@ -108,14 +178,19 @@ const getCurrentUser = async (req, res, next) => {
       name: user.name,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      role: user.role,
+      identities: user.identities.map(identity => identity.provider),
       bio: user.bio,
       location: user.location,
       website: user.website,
       profileImageUrl: user.profileImageUrl,
       coverImageUrl: user.coverImageUrl,
       isVerified: user.isVerified,
-      followerCount: user.followers.length,
-      followingCount: user.following.length,
+      followerCount: user.followerCount,
+      followingCount: user.followingCount,
+      pinnedTweet: user.pinnedTweet,
       createdAt: user.createdAt
     });
   } catch (error) {
@@ -137,24 +212,38 @@ const refreshUserToken = async (req, res, next) => {
     // Verify refresh token
     const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
     
-    // Find user by id and check if refresh token matches
-    const user = await User.findById(decoded.id).select('+refreshToken');
+    if (decoded.purpose !== 'refresh' || !decoded.sid) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    
+    const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
     
-    if (!user || user.refreshToken !== refreshToken) {
+    if (!session || !session.isActive()) {
       return res.status(401).json({ message: 'Invalid refresh token' });
     }
     
-    // Generate new tokens
-    const accessToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
+    const user = await User.findById(decoded.id);
     
-    // Update refresh token in database
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    
+    if (user.isSuspended()) {
+      return sendSuspendedResponse(res, user);
+    }
+    
+    // Rotate tokens; fails if this refresh token was already used
+    const rotated = await rotateSession(session._id, user._id, refreshToken, req);
+    
+    if (!rotated) {
+      // A rotated token was presented again: assume it leaked and end the session
+      await revokeSession(session._id, 'reuse_detected');
+      return res.status(401).json({ message: 'Refresh token reuse detected, session revoked' });
+    }
     
     res.json({
-      accessToken,
-      refreshToken: newRefreshToken
+      accessToken: rotated.accessToken,
+      refreshToken: rotated.refreshToken
     });
   } catch (error) {
     if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
@@ -164,17 +253,246 @@ const refreshUserToken = async (req, res, next) => {
   }
 };
 
-// @desc    Logout user / clear refresh token
+// @desc    Logout user / revoke current session
 // @route   POST /api/auth/logout
 // @access  Private
 const logoutUser = async (req, res, next) => {
   try {
-    // Clear refresh token in database
+    await revokeSession(req.sessionId, 'logout');
+    
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout user from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user._id, 'logout_all');
+    
+    res.json({ message: 'Logged out from all devices' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+    
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      isCurrent: session._id.toString() === req.sessionId.toString()
+    })));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    const session = await Session.findOne({
+      _id: id,
+      user: req.user._id,
+      revokedAt: null
+    });
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    await revokeSession(session._id, 'revoked');
+    
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+    
+    // Verify token
+    const decoded = verifyEmailVerificationToken(token);
+    
+    const user = await User.findById(decoded.id);
+    
+    // The token is only valid for the address it was issued for
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Invalid verification token' });
+    }
+    
+    if (user.emailVerified) {
+      return res.json({ message: 'Email already verified', emailVerified: true });
+    }
+    
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+    next(error);
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerificationEmail = async (req, res, next) => {
+  try {
     const user = await User.findById(req.user._id);
-    user.refreshToken = null;
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email already verified' });
+    }
+    
+    // Throttle resends
+    if (
+      user.emailVerificationSentAt &&
+      Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS
+    ) {
+      return res.status(429).json({ message: 'Please wait before requesting another verification email' });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    user.emailVerificationSentAt = new Date();
     await user.save();
     
-    res.json({ message: 'Logged out successfully' });
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    
+    // Same response whether or not the account exists
+    const genericResponse = {
+      message: 'If an account with that email exists, a password reset link has been sent'
+    };
+    
+    const user = await User.findOne({ email: email.toLowerCase() });
+    
+    if (!user) {
+      return res.json(genericResponse);
+    }
+    
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      // Discard the token if it could not be delivered, without revealing
+      // to the caller that the account exists
+      console.error('Password reset email error:', mailError.message);
+      await User.updateOne(
+        { _id: user._id },
+        { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+      );
+    }
+    
+    res.json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (typeof token !== 'string' || typeof password !== 'string' || !token || !password) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+    
+    // Check the new password before the token is used up
+    const passwordError = new User({ password }).validateSync(['password']);
+    
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError.errors.password.message });
+    }
+    
+    // Consume the token in a single write so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+    
+    // Set new password
+    user.password = password;
+    
+    // A successful reset also lifts any lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    
+    await user.save();
+    
+    // Sign out every device
+    await revokeAllSessions(user._id, 'password_reset');
+    
+    res.json({ message: 'Password has been reset successfully' });
   } catch (error) {
     next(error);
   }
@@ -185,5 +503,12 @@ module.exports = {
   loginUser,
   getCurrentUser,
   refreshUserToken,
-  logoutUser
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword
 };
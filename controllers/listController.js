@@ -0,0 +1,441 @@
+
+const List = require('../models/List');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Notification = require('../models/Notification');
+const mongoose = require('mongoose');
+const { MAX_LIST_MEMBERS } = require('../models/List');
+const { getBlockedUserIds, isBlockedBetween } = require('../utils/blocks');
+const { createNotification } = require('../utils/notifications');
+const { getActiveMutes, filterMutedTweets } = require('../utils/mutes');
+const { getHiddenAuthorIds } = require('../utils/visibility');
+const { populateFeedTweets, filterExcludedTweets, formatTweets } = require('../utils/tweetFeed');
+
+// Maximum number of lists a user can own
+const MAX_LISTS_PER_USER = 1000;
+
+// Format a list for the frontend
+const formatList = (list, viewerId) => ({
+  _id: list._id,
+  name: list.name,
+  description: list.description,
+  isPrivate: list.isPrivate,
+  owner: list.owner,
+  memberCount: list.members.length,
+  subscriberCount: list.subscribers.length,
+  isSubscribed: viewerId ?
+    list.subscribers.some(id => id.toString() === viewerId.toString()) :
+    false,
+  createdAt: list.createdAt
+});
+
+// Find a list the viewer is allowed to see
+const findVisibleList = async (req) => {
+  const { id } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  
+  const list = await List.findById(id)
+    .populate('owner', '_id name username profileImageUrl isVerified');
+  
+  // Private lists are reported as missing to everyone but their owner
+  if (!list || !list.isVisibleTo(req.user && req.user._id)) {
+    return null;
+  }
+  
+  return list;
+};
+
+// Find a list owned by the current user
+const findOwnList = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  
+  return List.findOne({ _id: req.params.id, owner: req.user._id });
+};
+
+// @desc    Create a list
+// @route   POST /api/lists
+// @access  Private
+const createList = async (req, res, next) => {
+  try {
+    const { name, description, isPrivate = false } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ message: 'List name is required' });
+    }
+    
+    if (typeof isPrivate !== 'boolean') {
+      return res.status(400).json({ message: 'isPrivate must be a boolean' });
+    }
+    
+    const listCount = await List.countDocuments({ owner: req.user._id });
+    
+    if (listCount >= MAX_LISTS_PER_USER) {
+      return res.status(400).json({ message: `You cannot have more than ${MAX_LISTS_PER_USER} lists` });
+    }
+    
+    const list = await List.create({
+      owner: req.user._id,
+      name,
+      description,
+      isPrivate
+    });
+    
+    res.status(201).json(formatList(list, req.user._id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get lists owned by and subscribed to by the current user
+// @route   GET /api/lists
+// @access  Private
+const getMyLists = async (req, res, next) => {
+  try {
+    const [owned, subscribed] = await Promise.all([
+      List.find({ owner: req.user._id })
+        .sort({ createdAt: -1 })
+        .populate('owner', '_id name username profileImageUrl isVerified'),
+      List.find({ subscribers: req.user._id, isPrivate: false })
+        .sort({ createdAt: -1 })
+        .populate('owner', '_id name username profileImageUrl isVerified')
+    ]);
+    
+    res.json({
+      owned: owned.map(list => formatList(list, req.user._id)),
+      subscribed: subscribed.map(list => formatList(list, req.user._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get public lists the current user is a member of
+// @route   GET /api/lists/memberships
+// @access  Private
+const getListMemberships = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const lists = await List.find({ members: req.user._id, isPrivate: false })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .populate('owner', '_id name username profileImageUrl isVerified');
+    
+    res.json(lists.map(list => formatList(list, req.user._id)));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a list
+// @route   GET /api/lists/:id
+// @access  Public
+const getListById = async (req, res, next) => {
+  try {
+    const list = await findVisibleList(req);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    res.json(formatList(list, req.user && req.user._id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a list
+// @route   PUT /api/lists/:id
+// @access  Private
+const updateList = async (req, res, next) => {
+  try {
+    const { name, description, isPrivate } = req.body;
+    
+    const list = await findOwnList(req);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    if (isPrivate !== undefined && typeof isPrivate !== 'boolean') {
+      return res.status(400).json({ message: 'isPrivate must be a boolean' });
+    }
+    
+    // Update list fields
+    if (name) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (isPrivate !== undefined) list.isPrivate = isPrivate;
+    
+    await list.save();
+    
+    res.json(formatList(list, req.user._id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a list
+// @route   DELETE /api/lists/:id
+// @access  Private
+const deleteList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    await Notification.deleteMany({ list: list._id });
+    await list.deleteOne();
+    
+    res.json({ message: 'List deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get list members
+// @route   GET /api/lists/:id/members
+// @access  Public
+const getListMembers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const list = await findVisibleList(req);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    const blockedIds = await getBlockedUserIds(req.user && req.user._id);
+    
+    const members = await User.find({
+      _id: { $in: list.members, $nin: blockedIds },
+      deletionScheduledAt: null
+    })
+      .select('_id name username profileImageUrl bio isVerified')
+      .sort({ username: 1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+    
+    res.json(members);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a member to a list
+// @route   POST /api/lists/:id/members
+// @access  Private
+const addListMember = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+    
+    const list = await findOwnList(req);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'A valid userId is required' });
+    }
+    
+    const member = await User.findOne({ _id: userId, deletionScheduledAt: null });
+    
+    if (!member) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (await isBlockedBetween(req.user._id, member._id)) {
+      return res.status(403).json({ message: 'You cannot add this user to a list' });
+    }
+    
+    // Add atomically so concurrent requests cannot exceed the member limit
+    const updated = await List.findOneAndUpdate(
+      {
+        _id: list._id,
+        members: { $ne: member._id },
+        [`members.${MAX_LIST_MEMBERS - 1}`]: { $exists: false }
+      },
+      { $push: { members: member._id } },
+      { new: true }
+    );
+    
+    if (!updated) {
+      const isMember = list.members.some(id => id.toString() === member._id.toString());
+      
+      return res.status(400).json({
+        message: isMember
+          ? 'User is already a member of this list'
+          : `A list cannot have more than ${MAX_LIST_MEMBERS} members`
+      });
+    }
+    
+    // Members are only told about public lists
+    if (!updated.isPrivate && member._id.toString() !== req.user._id.toString()) {
+      await createNotification({
+        recipient: member._id,
+        sender: req.user._id,
+        type: 'list_add',
+        list: updated._id
+      });
+    }
+    
+    res.json({ message: 'Member added', memberCount: updated.members.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member from a list
+// @route   DELETE /api/lists/:id/members/:userId
+// @access  Private
+const removeListMember = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    
+    const list = await findOwnList(req);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const updated = await List.findOneAndUpdate(
+      { _id: list._id, members: userId },
+      { $pull: { members: userId } },
+      { new: true }
+    );
+    
+    if (!updated) {
+      return res.status(400).json({ message: 'User is not a member of this list' });
+    }
+    
+    await Notification.deleteMany({ list: list._id, recipient: userId, type: 'list_add' });
+    
+    res.json({ message: 'Member removed', memberCount: updated.members.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Subscribe to a list
+// @route   POST /api/lists/:id/subscribe
+// @access  Private
+const subscribeToList = async (req, res, next) => {
+  try {
+    const list = await findVisibleList(req);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    if (list.owner._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot subscribe to your own list' });
+    }
+    
+    if (await isBlockedBetween(req.user._id, list.owner._id)) {
+      return res.status(403).json({ message: 'You cannot subscribe to this list' });
+    }
+    
+    await List.updateOne({ _id: list._id }, { $addToSet: { subscribers: req.user._id } });
+    
+    res.json({ message: 'Subscribed to list' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unsubscribe from a list
+// @route   POST /api/lists/:id/unsubscribe
+// @access  Private
+const unsubscribeFromList = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    const result = await List.updateOne(
+      { _id: req.params.id, subscribers: req.user._id },
+      { $pull: { subscribers: req.user._id } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ message: 'You are not subscribed to this list' });
+    }
+    
+    res.json({ message: 'Unsubscribed from list' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get list timeline
+// @route   GET /api/lists/:id/timeline
+// @access  Public
+const getListTimeline = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    
+    const list = await findVisibleList(req);
+    
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    
+    const viewerId = req.user && req.user._id;
+    const blockedIds = await getBlockedUserIds(viewerId);
+    const mutes = await getActiveMutes(viewerId, 'timeline');
+    
+    // Get tweets and retweets by list members
+    const tweets = await populateFeedTweets(
+      Tweet.find({
+        author: { $in: list.members, $nin: [...blockedIds, ...mutes.accountIds] },
+        isReply: false
+      })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+    );
+    
+    // Hide protected tweets the viewer cannot see and retweets of blocked
+    // users' and hidden protected tweets
+    const hiddenIds = await getHiddenAuthorIds(viewerId, tweets);
+    const unblockedTweets = filterExcludedTweets(tweets, [...blockedIds, ...hiddenIds]);
+    
+    // Hide muted accounts and keywords
+    const visibleTweets = filterMutedTweets(unblockedTweets, mutes);
+    
+    // Add additional fields for frontend
+    const tweetsWithMeta = await formatTweets(visibleTweets, viewerId);
+    
+    res.json(tweetsWithMeta);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createList,
+  getMyLists,
+  getListMemberships,
+  getListById,
+  updateList,
+  deleteList,
+  getListMembers,
+  addListMember,
+  removeListMember,
+  subscribeToList,
+  unsubscribeFromList,
+  getListTimeline
+};
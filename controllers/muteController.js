@@ -0,0 +1,199 @@
+const Mute = require('../models/Mute');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { tokenize } = require('../utils/text');
+
+const MUTE_SCOPES = ['timeline', 'notifications', 'both'];
+
+// Validate mute options from the request body
+const parseMuteOptions = ({ scope = 'both', durationHours }) => {
+  if (!MUTE_SCOPES.includes(scope)) {
+    return { error: `Scope must be one of: ${MUTE_SCOPES.join(', ')}` };
+  }
+  
+  if (durationHours !== undefined && durationHours !== null && !(Number(durationHours) > 0)) {
+    return { error: 'durationHours must be a positive number' };
+  }
+  
+  return {
+    scope,
+    expiresAt: durationHours
+      ? new Date(Date.now() + Number(durationHours) * 60 * 60 * 1000)
+      : null
+  };
+};
+
+// @desc    Get muted accounts and keywords
+// @route   GET /api/users/mutes
+// @access  Private
+const getMutes = async (req, res, next) => {
+  try {
+    const mutes = await Mute.find({
+      user: req.user._id,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    })
+      .sort({ createdAt: -1 })
+      .populate('target', '_id name username profileImageUrl isVerified');
+    
+    res.json({
+      accounts: mutes
+        .filter(mute => mute.kind === 'account' && mute.target)
+        .map(mute => ({
+          _id: mute._id,
+          user: mute.target,
+          scope: mute.scope,
+          expiresAt: mute.expiresAt,
+          createdAt: mute.createdAt
+        })),
+      keywords: mutes
+        .filter(mute => mute.kind === 'keyword')
+        .map(mute => ({
+          _id: mute._id,
+          keyword: mute.keyword,
+          scope: mute.scope,
+          expiresAt: mute.expiresAt,
+          createdAt: mute.createdAt
+        }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mute a user
+// @route   POST /api/users/:id/mute
+// @access  Private
+const muteUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (req.user._id.toString() === id) {
+      return res.status(400).json({ message: 'You cannot mute yourself' });
+    }
+    
+    const userToMute = await User.findById(id);
+    
+    if (!userToMute) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const { scope, expiresAt, error } = parseMuteOptions(req.body);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    // Muting again updates the scope and expiry
+    const mute = await Mute.findOneAndUpdate(
+      { user: req.user._id, kind: 'account', target: userToMute._id },
+      { scope, expiresAt },
+      { upsert: true, new: true, runValidators: true }
+    );
+    
+    res.json({
+      message: 'User muted successfully',
+      scope: mute.scope,
+      expiresAt: mute.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unmute a user
+// @route   POST /api/users/:id/unmute
+// @access  Private
+const unmuteUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const result = await Mute.deleteOne({ user: req.user._id, kind: 'account', target: id });
+    
+    if (result.deletedCount === 0) {
+      return res.status(400).json({ message: 'You have not muted this user' });
+    }
+    
+    res.json({ message: 'User unmuted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mute a word, phrase or hashtag
+// @route   POST /api/users/mutes/keywords
+// @access  Private
+const muteKeyword = async (req, res, next) => {
+  try {
+    const keyword = String(req.body.keyword || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    
+    // Keywords must contain at least one word (#tags count as words)
+    if (tokenize(keyword).length === 0) {
+      return res.status(400).json({ message: 'Please provide a word, phrase or hashtag to mute' });
+    }
+    
+    if (keyword.startsWith('#') && !/^#\w+$/.test(keyword)) {
+      return res.status(400).json({ message: 'Hashtags can only contain letters, numbers and underscores' });
+    }
+    
+    const { scope, expiresAt, error } = parseMuteOptions(req.body);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const mute = await Mute.findOneAndUpdate(
+      { user: req.user._id, kind: 'keyword', keyword },
+      { scope, expiresAt },
+      { upsert: true, new: true, runValidators: true }
+    );
+    
+    res.status(201).json({
+      _id: mute._id,
+      keyword: mute.keyword,
+      scope: mute.scope,
+      expiresAt: mute.expiresAt,
+      createdAt: mute.createdAt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a muted keyword
+// @route   DELETE /api/users/mutes/keywords/:id
+// @access  Private
+const unmuteKeyword = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Muted keyword not found' });
+    }
+    
+    const result = await Mute.deleteOne({ _id: id, user: req.user._id, kind: 'keyword' });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Muted keyword not found' });
+    }
+    
+    res.json({ message: 'Keyword unmuted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMutes,
+  muteUser,
+  unmuteUser,
+  muteKeyword,
+  unmuteKeyword
+};
@@ -1,5 +1,6 @@
 
 const Notification = require('../models/Notification');
+const { getActiveMutes, matchesMutedKeyword } = require('../utils/mutes');
 
 // @desc    Get user notifications
 // @route   GET /api/notifications
@@ -8,16 +9,26 @@ const getNotifications = async (req, res, next) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     
+    const mutes = await getActiveMutes(req.user._id, 'notifications');
+    
+    // Skip notifications from muted accounts
     const notifications = await Notification.find({
-      recipient: req.user._id
+      recipient: req.user._id,
+      sender: { $nin: mutes.accountIds }
     })
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(Number(limit))
       .populate('sender', '_id name username profileImageUrl')
-      .populate('tweet', 'text');
+      .populate('tweet', 'text')
+      .populate('list', '_id name');
+    
+    // Skip notifications about tweets with muted keywords
+    const visibleNotifications = notifications.filter(notification => (
+      !notification.tweet || !matchesMutedKeyword(notification.tweet.text, mutes.keywords)
+    ));
     
-    res.json(notifications);
+    res.json(visibleNotifications);
   } catch (error) {
     next(error);
   }
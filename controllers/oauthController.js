@@ -0,0 +1,273 @@
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const { createSession } = require('../utils/sessions');
+const { generateRandomToken } = require('../utils/tokens');
+const { generateTwoFactorChallenge } = require('../utils/twoFactor');
+const { sendSuspendedResponse } = require('../utils/loginProtection');
+const { cancelAccountDeletion } = require('../utils/accountDeletion');
+const { generateUniqueUsername } = require('../utils/usernames');
+const {
+  getEnabledProviders,
+  getProvider,
+  generatePkce,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchProfile
+} = require('../utils/oauth');
+
+// How long an authorization attempt stays valid
+const OAUTH_STATE_EXPIRY_MS = 10 * 60 * 1000; // 10 minutes
+
+// Create a stored authorization attempt and return the provider URL
+const startAuthorization = async (provider, linkUser = null) => {
+  const state = generateRandomToken();
+  const { codeVerifier, codeChallenge } = generatePkce();
+  
+  await OAuthState.create({
+    state,
+    provider: provider.name,
+    codeVerifier,
+    linkUser,
+    expiresAt: new Date(Date.now() + OAUTH_STATE_EXPIRY_MS)
+  });
+  
+  return buildAuthorizationUrl(provider, { state, codeChallenge });
+};
+
+// Find the account for an external identity, linking or creating it if needed
+const resolveUser = async (provider, profile) => {
+  // Already linked
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: { provider: provider.name, subject: profile.subject } }
+  });
+  
+  if (linkedUser) {
+    return { user: linkedUser, created: false };
+  }
+  
+  if (!profile.email) {
+    return { error: 'The provider did not share an email address', status: 400 };
+  }
+  
+  const email = profile.email.toLowerCase();
+  const identity = { provider: provider.name, subject: profile.subject, email };
+  const existingUser = await User.findOne({ email });
+  
+  if (existingUser) {
+    // Only link automatically when both sides have verified the address
+    if (!profile.emailVerified || !existingUser.emailVerified) {
+      return {
+        error: 'An account with this email already exists. Log in and link this provider from your settings.',
+        status: 409
+      };
+    }
+    
+    existingUser.identities.push(identity);
+    await existingUser.save();
+    
+    return { user: existingUser, created: false };
+  }
+  
+  // Create a new account; the random password can be replaced via password reset
+  const user = await User.create({
+    name: (profile.name || email.split('@')[0]).slice(0, 50),
+    username: await generateUniqueUsername(profile.preferredUsername, profile.name, email.split('@')[0]),
+    email,
+    password: generateRandomToken(),
+    emailVerified: profile.emailVerified,
+    emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+    profileImageUrl: profile.picture || '',
+    identities: [identity]
+  });
+  
+  return { user, created: true };
+};
+
+// @desc    Get enabled OAuth providers
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+const getOAuthProviders = async (req, res, next) => {
+  try {
+    res.json(getEnabledProviders());
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start OAuth login
+// @route   GET /api/auth/oauth/:provider/authorize
+// @access  Public
+const authorizeOAuth = async (req, res, next) => {
+  try {
+    const provider = await getProvider(req.params.provider);
+    
+    if (!provider) {
+      return res.status(404).json({ message: 'OAuth provider not found' });
+    }
+    
+    const authorizationUrl = await startAuthorization(provider);
+    
+    res.json({ authorizationUrl });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start linking an OAuth identity to the current account
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+const linkOAuth = async (req, res, next) => {
+  try {
+    const provider = await getProvider(req.params.provider);
+    
+    if (!provider) {
+      return res.status(404).json({ message: 'OAuth provider not found' });
+    }
+    
+    const authorizationUrl = await startAuthorization(provider, req.user._id);
+    
+    res.json({ authorizationUrl });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete OAuth login or linking
+// @route   POST /api/auth/oauth/:provider/callback
+// @access  Public
+const oauthCallback = async (req, res, next) => {
+  try {
+    const { code, state } = req.body;
+    
+    if (!code || !state) {
+      return res.status(400).json({ message: 'Authorization code and state are required' });
+    }
+    
+    const provider = await getProvider(req.params.provider);
+    
+    if (!provider) {
+      return res.status(404).json({ message: 'OAuth provider not found' });
+    }
+    
+    // Each state can only be used once
+    const storedState = await OAuthState.findOneAndDelete({
+      state: String(state),
+      provider: provider.name,
+      expiresAt: { $gt: new Date() }
+    });
+    
+    if (!storedState) {
+      return res.status(400).json({ message: 'Invalid or expired OAuth state' });
+    }
+    
+    const tokens = await exchangeCode(provider, {
+      code: String(code),
+      codeVerifier: storedState.codeVerifier
+    });
+    const profile = await fetchProfile(provider, tokens.access_token);
+    
+    // Linking flow: attach the identity to the account that started it
+    if (storedState.linkUser) {
+      const owner = await User.findOne({
+        identities: { $elemMatch: { provider: provider.name, subject: profile.subject } }
+      });
+      
+      if (owner && owner._id.toString() !== storedState.linkUser.toString()) {
+        return res.status(409).json({ message: 'This identity is already linked to another account' });
+      }
+      
+      const user = await User.findById(storedState.linkUser);
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (!owner) {
+        user.identities.push({ provider: provider.name, subject: profile.subject, email: profile.email });
+        await user.save();
+      }
+      
+      return res.json({
+        message: 'Account linked successfully',
+        identities: user.identities.map(identity => identity.provider)
+      });
+    }
+    
+    // Login flow
+    const { user, created, error, status } = await resolveUser(provider, profile);
+    
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    
+    if (user.isSuspended()) {
+      return sendSuspendedResponse(res, user);
+    }
+    
+    // Accounts with 2FA must complete a second step before getting tokens
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      });
+    }
+    
+    // Logging in during the grace period restores a deleted account
+    const accountRestored = await cancelAccountDeletion(user);
+    
+    // Start a session and generate tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
+    
+    res.status(created ? 201 : 200).json({
+      user: {
+        _id: user._id,
+        name: user.name,
+        username: user.username,
+        email: user.email,
+        profileImageUrl: user.profileImageUrl,
+        isVerified: user.isVerified,
+        emailVerified: user.emailVerified
+      },
+      accessToken,
+      refreshToken,
+      isNewUser: created,
+      accountRestored
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlink an OAuth identity
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+const unlinkOAuth = async (req, res, next) => {
+  try {
+    const providerName = String(req.params.provider).toLowerCase();
+    
+    const user = await User.findById(req.user._id);
+    const remaining = user.identities.filter(identity => identity.provider !== providerName);
+    
+    if (remaining.length === user.identities.length) {
+      return res.status(404).json({ message: 'No linked identity for this provider' });
+    }
+    
+    user.identities = remaining;
+    await user.save();
+    
+    res.json({
+      message: 'Account unlinked successfully',
+      identities: user.identities.map(identity => identity.provider)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getOAuthProviders,
+  authorizeOAuth,
+  linkOAuth,
+  oauthCallback,
+  unlinkOAuth
+};
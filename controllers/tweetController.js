@@ -2,9 +2,152 @@
 const Tweet = require('../models/Tweet');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
-const Trending = require('../models/Trending');
 const mongoose = require('mongoose');
-const cloudinary = require('cloudinary').v2;
+const { removeTweet } = require('../utils/tweetRemoval');
+const { getBlockedUserIds, isBlockedBetween } = require('../utils/blocks');
+const { createNotification } = require('../utils/notifications');
+const { getActiveMutes, filterMutedTweets } = require('../utils/mutes');
+const { canViewTweet, canViewTweetsOf, getHiddenAuthorIds } = require('../utils/visibility');
+const Follow = require('../models/Follow');
+const { getFollowingIds } = require('../utils/followGraph');
+const {
+  FEED_POPULATE,
+  populateFeedTweets,
+  hideExcludedQuotes,
+  filterExcludedTweets,
+  formatTweet,
+  formatTweets
+} = require('../utils/tweetFeed');
+const { extractMentions } = require('../utils/text');
+const { recordImpressions, recordEngagement } = require('../utils/analytics');
+const { addToTrending, removeFromTrending } = require('../utils/trending');
+const { getConversation } = require('../utils/conversations');
+const { parsePoll, isPollClosed, formatPoll, getViewerPollVotes, castVote } = require('../utils/polls');
+const { checkMediaUpload, uploadMedia, destroyMedia, formatMedia } = require('../utils/media');
+
+// How long after posting a tweet can be edited, and how many times
+const EDIT_WINDOW_MINUTES = Number(process.env.TWEET_EDIT_WINDOW_MINUTES) || 30;
+const MAX_EDITS = Number(process.env.TWEET_MAX_EDITS) || 5;
+
+// Maximum number of tweets in a thread
+const MAX_THREAD_LENGTH = 25;
+
+// Accounts following more users than this get their timeline built from
+// the newest tweets checked against the follow graph instead of a $in
+// query over all followed ids
+const TIMELINE_IN_QUERY_LIMIT = Number(process.env.TIMELINE_IN_QUERY_LIMIT) || 1000;
+
+// Tweets read at a time when building a large timeline, and the most
+// tweets read for one page (pages come back short past that point)
+const TIMELINE_SCAN_BATCH_SIZE = 200;
+const TIMELINE_SCAN_LIMIT = Number(process.env.TIMELINE_SCAN_LIMIT) || 20000;
+
+// Get the ids of a page of timeline tweets for a user following many
+// accounts, matching the small-timeline query: tweets by followed users
+// (and the user) or retweeted by them, unless the author is excluded.
+// Instead of loading every followed id, the newest tweets are read in
+// batches and only their authors are looked up in the follow graph, until
+// the page is filled.
+const getLargeTimelineIds = async (userId, excludedAuthorIds, page, limit) => {
+  const needed = page * limit;
+  const excluded = new Set(excludedAuthorIds.map(id => id.toString()));
+  // Tweets retweeted by followed users. A retweet is always newer than
+  // the tweet it retweets, so it is read first.
+  const retweetedIds = new Set();
+  const ids = [];
+  let boundary = null;
+  let scanned = 0;
+  
+  while (ids.length < needed && scanned < TIMELINE_SCAN_LIMIT) {
+    // Continue below the last batch; tweets at its oldest time that were
+    // already read are skipped
+    const filter = boundary
+      ? { createdAt: { $lte: boundary.createdAt }, _id: { $nin: boundary.ids } }
+      : {};
+    
+    const batch = await Tweet.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(TIMELINE_SCAN_BATCH_SIZE)
+      .select('_id author isRetweet originalTweet createdAt')
+      .lean();
+    
+    if (batch.length === 0) {
+      break;
+    }
+    
+    scanned += batch.length;
+    
+    const oldest = batch[batch.length - 1].createdAt;
+    const oldestIds = batch
+      .filter(tweet => tweet.createdAt.getTime() === oldest.getTime())
+      .map(tweet => tweet._id);
+    const sameTime = boundary && boundary.createdAt.getTime() === oldest.getTime();
+    boundary = { createdAt: oldest, ids: sameTime ? [...boundary.ids, ...oldestIds] : oldestIds };
+    
+    const authorIds = [...new Set(batch.map(tweet => tweet.author.toString()))];
+    const followedIds = await Follow.find({ follower: userId, following: { $in: authorIds } }).distinct('following');
+    const followed = new Set([userId.toString(), ...followedIds.map(id => id.toString())]);
+    
+    for (const tweet of batch) {
+      const byFollowed = followed.has(tweet.author.toString());
+      
+      if (byFollowed && tweet.isRetweet && tweet.originalTweet) {
+        retweetedIds.add(tweet.originalTweet.toString());
+      }
+      
+      if (!excluded.has(tweet.author.toString()) && (byFollowed || retweetedIds.has(tweet._id.toString()))) {
+        ids.push(tweet._id);
+      }
+    }
+  }
+  
+  return ids.slice((page - 1) * limit, needed);
+};
+
+// Find the users mentioned in a tweet. Mentions are stored by id so they
+// keep pointing at the same accounts after a username change. Users in a
+// block with the author are left out, so they are never linked or notified.
+const findMentionedUsers = async (text, authorId) => {
+  const usernames = extractMentions(text);
+  
+  if (usernames.length === 0) {
+    return [];
+  }
+  
+  const blockedIds = await getBlockedUserIds(authorId);
+  
+  return User.find({
+    _id: { $nin: blockedIds },
+    username: { $in: usernames },
+    deletionScheduledAt: null
+  });
+};
+
+// Notify mentioned users about a tweet (suppressed across blocks
+// and for users who cannot see a protected author's tweets)
+const notifyMentionedUsers = async (tweet, users, author) => {
+  for (const user of users) {
+    if (user._id.toString() !== author._id.toString() && await canViewTweetsOf(user._id, author)) {
+      await createNotification({
+        recipient: user._id,
+        sender: author._id,
+        type: 'mention',
+        tweet: tweet._id
+      });
+    }
+  }
+};
+
+// Create a tweet with uploaded media, removing the media again if the
+// tweet cannot be saved
+const createTweetWithMedia = async (data) => {
+  try {
+    return await Tweet.create(data);
+  } catch (error) {
+    await destroyMedia(data.media);
+    throw error;
+  }
+};
 
 // @desc    Create a new tweet
 // @route   POST /api/tweets
@@ -12,77 +155,60 @@ const cloudinary = require('cloudinary').v2;
 const createTweet = async (req, res, next) => {
   try {
     const { text } = req.body;
+    const files = req.files || [];
     
-    if (!text && !req.file) {
-      return res.status(400).json({ message: 'Tweet text or image is required' });
+    if (!text && files.length === 0) {
+      return res.status(400).json({ message: 'Tweet text or media is required' });
     }
     
-    let imageUrl = null;
+    const { poll, error: pollError } = parsePoll(req.body);
     
-    // Upload image if provided
-    if (req.file) {
-      const result = await cloudinary.uploader.upload(req.file.path);
-      imageUrl = result.secure_url;
+    if (pollError) {
+      return res.status(400).json({ message: pollError });
     }
     
+    if (poll && (!text || files.length > 0)) {
+      return res.status(400).json({ message: 'A poll needs tweet text and cannot be combined with media' });
+    }
+    
+    const { altTexts, error: mediaError } = checkMediaUpload(files, req.body.altText);
+    
+    if (mediaError) {
+      return res.status(400).json({ message: mediaError });
+    }
+    
+    // Upload media if provided
+    const media = await uploadMedia(files, altTexts);
+    
+    const mentionedUsers = await findMentionedUsers(text, req.user._id);
+    
     // Create tweet
-    const tweet = await Tweet.create({
+    const tweet = await createTweetWithMedia({
       text: text || '',
       author: req.user._id,
-      imageUrl
+      media,
+      poll: poll || undefined,
+      mentions: mentionedUsers.map(user => user._id)
     });
     
     // Populate author details
     const populatedTweet = await Tweet.findById(tweet._id)
       .populate('author', '_id name username profileImageUrl isVerified');
     
-    // Process hashtags for trending
-    if (tweet.hashtags.length > 0) {
-      for (const tag of tweet.hashtags) {
-        // Update or create trending entry
-        await Trending.findOneAndUpdate(
-          { tag },
-          { 
-            $inc: { count: 1 },
-            $push: { tweets: tweet._id }
-          },
-          { upsert: true, new: true }
-        );
-      }
+    // Process hashtags for trending (protected tweets are not counted)
+    if (tweet.hashtags.length > 0 && !req.user.isProtected) {
+      await addToTrending(tweet._id, tweet.hashtags);
     }
     
-    // Process mentions for notifications
-    const mentionRegex = /@(\w+)/g;
-    let match;
-    const mentionedUsernames = [];
-    
-    while ((match = mentionRegex.exec(text)) !== null) {
-      mentionedUsernames.push(match[1]);
-    }
-    
-    if (mentionedUsernames.length > 0) {
-      const mentionedUsers = await User.find({
-        username: { $in: mentionedUsernames }
-      });
-      
-      // Create notifications for mentioned users
-      for (const user of mentionedUsers) {
-        if (user._id.toString() !== req.user._id.toString()) {
-          await Notification.create({
-            recipient: user._id,
-            sender: req.user._id,
-            type: 'mention',
-            tweet: tweet._id
-          });
-        }
-      }
-    }
+    // Create notifications for mentioned users
+    await notifyMentionedUsers(tweet, mentionedUsers, req.user);
     
     res.status(201).json({
       _id: populatedTweet._id,
       text: populatedTweet.text,
       author: populatedTweet.author,
-      imageUrl: populatedTweet.imageUrl,
+      media: populatedTweet.media.map(formatMedia),
+      poll: populatedTweet.poll ? formatPoll(populatedTweet.poll, req.user._id, req.user._id) : null,
       createdAt: populatedTweet.createdAt,
       likes: 0,
       retweets: 0,
@@ -95,6 +221,82 @@ const createTweet = async (req, res, next) => {
   }
 };
 
+// @desc    Publish a thread
+// @route   POST /api/tweets/thread
+// @access  Private
+const createThread = async (req, res, next) => {
+  try {
+    const { tweets } = req.body;
+    
+    if (!Array.isArray(tweets) || tweets.length < 2 || tweets.length > MAX_THREAD_LENGTH) {
+      return res.status(400).json({ message: `A thread must have between 2 and ${MAX_THREAD_LENGTH} tweets` });
+    }
+    
+    if (tweets.some(item => !item || typeof item.text !== 'string' || !item.text.trim())) {
+      return res.status(400).json({ message: 'Every tweet in a thread needs text' });
+    }
+    
+    // Each tweet replies to the one before it
+    const ids = tweets.map(() => new mongoose.Types.ObjectId());
+    const mentionedUsers = [];
+    const docs = [];
+    
+    for (let i = 0; i < tweets.length; i++) {
+      mentionedUsers.push(await findMentionedUsers(tweets[i].text, req.user._id));
+      
+      docs.push(new Tweet({
+        _id: ids[i],
+        text: tweets[i].text,
+        author: req.user._id,
+        isReply: i > 0,
+        parentTweet: i > 0 ? ids[i - 1] : undefined,
+        conversationId: ids[0],
+        replies: i < tweets.length - 1 ? [ids[i + 1]] : [],
+        mentions: mentionedUsers[i].map(user => user._id)
+      }));
+    }
+    
+    // Validate the whole thread before writing any of it
+    for (let i = 0; i < docs.length; i++) {
+      const validationError = docs[i].validateSync();
+      
+      if (validationError) {
+        const message = Object.values(validationError.errors).map(err => err.message).join(', ');
+        return res.status(400).json({ message: `Tweet ${i + 1}: ${message}` });
+      }
+    }
+    
+    // Insert the whole thread in one transaction so a failure part way
+    // never leaves a partial thread (needs MongoDB as a replica set)
+    const session = await mongoose.startSession();
+    
+    try {
+      await session.withTransaction(() => Tweet.insertMany(docs, { session, ordered: true }));
+    } finally {
+      await session.endSession();
+    }
+    
+    for (let i = 0; i < docs.length; i++) {
+      // Process hashtags for trending (protected tweets are not counted)
+      if (docs[i].hashtags.length > 0 && !req.user.isProtected) {
+        await addToTrending(docs[i]._id, docs[i].hashtags);
+      }
+      
+      await notifyMentionedUsers(docs[i], mentionedUsers[i], req.user);
+    }
+    
+    const thread = await populateFeedTweets(Tweet.find({ _id: { $in: ids } }));
+    const byId = new Map(thread.map(tweet => [tweet._id.toString(), tweet]));
+    
+    res.status(201).json({
+      conversationId: ids[0],
+      tweets: ids.map(id => formatTweet(byId.get(id.toString()), req.user._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get home timeline
 // @route   GET /api/tweets/timeline
 // @access  Private
@@ -102,49 +304,47 @@ const getTimeline = async (req, res, next) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     
-    // Get users that the current user is following
-    const user = await User.findById(req.user._id);
-    const following = [...user.following, req.user._id]; // Include user's own tweets
-    
-    // Get tweets from followed users
-    const tweets = await Tweet.find({
-      $or: [
-        { author: { $in: following } },
-        { retweets: { $in: following } }
-      ]
-    })
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit))
-      .populate('author', '_id name username profileImageUrl isVerified')
-      .populate({
-        path: 'originalTweet',
-        populate: {
-          path: 'author',
-          select: '_id name username profileImageUrl isVerified'
-        }
-      });
+    const blockedIds = await getBlockedUserIds(req.user._id);
+    const mutes = await getActiveMutes(req.user._id, 'timeline');
+    const excludedAuthorIds = [...blockedIds, ...mutes.accountIds];
     
-    // Add additional fields for frontend
-    const tweetsWithMeta = tweets.map(tweet => {
-      const isLiked = tweet.likes.includes(req.user._id);
-      const isRetweeted = tweet.retweets.includes(req.user._id);
+    let tweetQuery;
+    
+    if (req.user.followingCount > TIMELINE_IN_QUERY_LIMIT) {
+      // Look up followed authors per batch instead of loading every followed id
+      const ids = await getLargeTimelineIds(req.user._id, excludedAuthorIds, Number(page), Number(limit));
       
-      return {
-        _id: tweet._id,
-        text: tweet.text,
-        author: tweet.author,
-        imageUrl: tweet.imageUrl,
-        createdAt: tweet.createdAt,
-        likes: tweet.likes.length,
-        retweets: tweet.retweets.length,
-        replies: tweet.replies.length,
-        isLiked,
-        isRetweeted,
-        isRetweet: tweet.isRetweet,
-        originalTweet: tweet.originalTweet
-      };
-    });
+      tweetQuery = Tweet.find({ _id: { $in: ids } });
+    } else {
+      // Get users that the current user is following
+      const following = [...await getFollowingIds(req.user._id), req.user._id]; // Include user's own tweets
+      
+      // Get tweets from followed users
+      tweetQuery = Tweet.find({
+        $or: [
+          { author: { $in: following } },
+          { retweets: { $in: following } }
+        ],
+        author: { $nin: excludedAuthorIds }
+      })
+        .skip((page - 1) * limit)
+        .limit(Number(limit));
+    }
+    
+    const tweets = await populateFeedTweets(tweetQuery.sort({ createdAt: -1 }));
+    
+    // Hide protected tweets the user cannot see and retweets of blocked
+    // users' and hidden protected tweets
+    const hiddenIds = await getHiddenAuthorIds(req.user._id, tweets);
+    const unblockedTweets = filterExcludedTweets(tweets, [...blockedIds, ...hiddenIds]);
+    
+    // Hide muted accounts and keywords
+    const visibleTweets = filterMutedTweets(unblockedTweets, mutes);
+    
+    recordImpressions(visibleTweets, req.user._id);
+    
+    // Add additional fields for frontend
+    const tweetsWithMeta = await formatTweets(visibleTweets, req.user._id);
     
     res.json(tweetsWithMeta);
   } catch (error) {
@@ -159,8 +359,13 @@ const getTrendingTweets = async (req, res, next) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     
+    const viewerId = req.user && req.user._id;
+    const blockedIds = await getBlockedUserIds(viewerId);
+    const mutes = await getActiveMutes(viewerId, 'timeline');
+    
     // Get tweets with most likes and retweets
     const tweets = await Tweet.aggregate([
+      { $match: { author: { $nin: [...blockedIds, ...mutes.accountIds] } } },
       {
         $addFields: {
           engagementScore: {
@@ -177,35 +382,18 @@ const getTrendingTweets = async (req, res, next) => {
       { $limit: Number(limit) }
     ]);
     
-    // Populate author details
-    const populatedTweets = await Tweet.populate(tweets, {
-      path: 'author',
-      select: '_id name username profileImageUrl isVerified'
-    });
+    // Populate author details and embedded tweets
+    const populatedTweets = await Tweet.populate(tweets, FEED_POPULATE);
+    
+    // Hide protected tweets the viewer cannot see and muted keywords
+    const hiddenIds = await getHiddenAuthorIds(viewerId, populatedTweets);
+    const visibleTweets = filterMutedTweets(
+      filterExcludedTweets(populatedTweets, [...blockedIds, ...hiddenIds]),
+      mutes
+    );
     
     // Add additional fields for frontend
-    const tweetsWithMeta = populatedTweets.map(tweet => {
-      const isLiked = req.user ? 
-        tweet.likes.includes(req.user._id) : 
-        false;
-      
-      const isRetweeted = req.user ? 
-        tweet.retweets.includes(req.user._id) : 
-        false;
-      
-      return {
-        _id: tweet._id,
-        text: tweet.text,
-        author: tweet.author,
-        imageUrl: tweet.imageUrl,
-        createdAt: tweet.createdAt,
-        likes: tweet.likes.length,
-        retweets: tweet.retweets.length,
-        replies: tweet.replies.length,
-        isLiked,
-        isRetweeted
-      };
-    });
+    const tweetsWithMeta = await formatTweets(visibleTweets, viewerId);
     
     res.json(tweetsWithMeta);
   } catch (error) {
@@ -220,43 +408,25 @@ const getTweetById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const tweet = await Tweet.findById(id)
-      .populate('author', '_id name username profileImageUrl isVerified')
-      .populate({
-        path: 'originalTweet',
-        populate: {
-          path: 'author',
-          select: '_id name username profileImageUrl isVerified'
-        }
-      });
+    const tweet = await populateFeedTweets(Tweet.findById(id));
     
     if (!tweet) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    // Add additional fields for frontend
-    const isLiked = req.user ? 
-      tweet.likes.includes(req.user._id) : 
-      false;
+    // Protected tweets are only visible to approved followers
+    if (!(await canViewTweet(req.user && req.user._id, tweet))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
     
-    const isRetweeted = req.user ? 
-      tweet.retweets.includes(req.user._id) : 
-      false;
+    const blockedIds = await getBlockedUserIds(req.user && req.user._id);
+    const hiddenIds = await getHiddenAuthorIds(req.user && req.user._id, [tweet]);
+    hideExcludedQuotes([tweet], [...blockedIds, ...hiddenIds]);
     
-    const tweetWithMeta = {
-      _id: tweet._id,
-      text: tweet.text,
-      author: tweet.author,
-      imageUrl: tweet.imageUrl,
-      createdAt: tweet.createdAt,
-      likes: tweet.likes.length,
-      retweets: tweet.retweets.length,
-      replies: tweet.replies.length,
-      isLiked,
-      isRetweeted,
-      isRetweet: tweet.isRetweet,
-      originalTweet: tweet.originalTweet
-    };
+    recordImpressions([tweet], req.user && req.user._id);
+    
+    // Add additional fields for frontend
+    const [tweetWithMeta] = await formatTweets([tweet], req.user && req.user._id);
     
     res.json(tweetWithMeta);
   } catch (error) {
@@ -280,6 +450,14 @@ const likeTweet = async (req, res, next) => {
     // Check if already liked
     const alreadyLiked = tweet.likes.includes(req.user._id);
     
+    if (!alreadyLiked && await isBlockedBetween(req.user._id, tweet.author)) {
+      return res.status(403).json({ message: 'You cannot interact with this user' });
+    }
+    
+    if (!alreadyLiked && !(await canViewTweet(req.user._id, tweet))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
     if (alreadyLiked) {
       // Unlike
       tweet.likes = tweet.likes.filter(
@@ -288,10 +466,11 @@ const likeTweet = async (req, res, next) => {
     } else {
       // Like
       tweet.likes.push(req.user._id);
+      recordEngagement(tweet, 'likes');
       
       // Create notification (only if not liking own tweet)
       if (tweet.author.toString() !== req.user._id.toString()) {
-        await Notification.create({
+        await createNotification({
           recipient: tweet.author,
           sender: req.user._id,
           type: 'like',
@@ -328,6 +507,19 @@ const retweetTweet = async (req, res, next) => {
     // Check if already retweeted
     const alreadyRetweeted = tweet.retweets.includes(req.user._id);
     
+    if (!alreadyRetweeted && await isBlockedBetween(req.user._id, tweet.author)) {
+      return res.status(403).json({ message: 'You cannot interact with this user' });
+    }
+    
+    // Protected tweets cannot be retweeted, not even by approved followers
+    if (!alreadyRetweeted && tweet.author.toString() !== req.user._id.toString()) {
+      const author = await User.findById(tweet.author).select('isProtected');
+      
+      if (author && author.isProtected) {
+        return res.status(403).json({ message: 'Protected tweets cannot be retweeted' });
+      }
+    }
+    
     if (alreadyRetweeted) {
       // Undo retweet
       tweet.retweets = tweet.retweets.filter(
@@ -343,6 +535,7 @@ const retweetTweet = async (req, res, next) => {
     } else {
       // Retweet
       tweet.retweets.push(req.user._id);
+      recordEngagement(tweet, 'retweets');
       
       // Create a retweet tweet
       await Tweet.create({
@@ -354,7 +547,7 @@ const retweetTweet = async (req, res, next) => {
       
       // Create notification (only if not retweeting own tweet)
       if (tweet.author.toString() !== req.user._id.toString()) {
-        await Notification.create({
+        await createNotification({
           recipient: tweet.author,
           sender: req.user._id,
           type: 'retweet',
@@ -375,6 +568,211 @@ const retweetTweet = async (req, res, next) => {
   }
 };
 
+// @desc    Quote a tweet
+// @route   POST /api/tweets/:id/quote
+// @access  Private
+const quoteTweet = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { text } = req.body;
+    const files = req.files || [];
+    
+    if (!text && files.length === 0) {
+      return res.status(400).json({ message: 'Quote text or media is required' });
+    }
+    
+    const { altTexts, error: mediaError } = checkMediaUpload(files, req.body.altText);
+    
+    if (mediaError) {
+      return res.status(400).json({ message: mediaError });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    let quoted = await Tweet.findById(id);
+    
+    // Quoting a retweet quotes the tweet it repeats
+    if (quoted && quoted.isRetweet) {
+      quoted = await Tweet.findById(quoted.originalTweet);
+    }
+    
+    if (!quoted) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    if (await isBlockedBetween(req.user._id, quoted.author)) {
+      return res.status(403).json({ message: 'You cannot interact with this user' });
+    }
+    
+    // Protected tweets cannot be quoted, not even by approved followers
+    if (quoted.author.toString() !== req.user._id.toString()) {
+      const author = await User.findById(quoted.author).select('isProtected');
+      
+      if (author && author.isProtected) {
+        return res.status(403).json({ message: 'Protected tweets cannot be quoted' });
+      }
+    }
+    
+    // Upload media if provided
+    const media = await uploadMedia(files, altTexts);
+    
+    const mentionedUsers = await findMentionedUsers(text, req.user._id);
+    
+    // Create quote tweet
+    const tweet = await createTweetWithMedia({
+      text: text || '',
+      author: req.user._id,
+      media,
+      quotedTweet: quoted._id,
+      mentions: mentionedUsers.map(user => user._id)
+    });
+    
+    await Tweet.updateOne({ _id: quoted._id }, { $inc: { quoteCount: 1 } });
+    recordEngagement(quoted, 'quotes');
+    
+    // Process hashtags for trending (protected tweets are not counted)
+    if (tweet.hashtags.length > 0 && !req.user.isProtected) {
+      await addToTrending(tweet._id, tweet.hashtags);
+    }
+    
+    // Create notification (only if not quoting own tweet)
+    if (quoted.author.toString() !== req.user._id.toString()) {
+      await createNotification({
+        recipient: quoted.author,
+        sender: req.user._id,
+        type: 'quote',
+        tweet: tweet._id
+      });
+    }
+    
+    // Create notifications for mentioned users
+    await notifyMentionedUsers(tweet, mentionedUsers, req.user);
+    
+    const populatedTweet = await populateFeedTweets(Tweet.findById(tweet._id));
+    
+    const [tweetWithMeta] = await formatTweets([populatedTweet], req.user._id);
+    
+    res.status(201).json(tweetWithMeta);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get quote tweets of a tweet
+// @route   GET /api/tweets/:id/quotes
+// @access  Public
+const getTweetQuotes = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const tweet = await Tweet.findById(id);
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const viewerId = req.user && req.user._id;
+    
+    if (!(await canViewTweet(viewerId, tweet))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
+    const blockedIds = await getBlockedUserIds(viewerId);
+    const mutes = await getActiveMutes(viewerId, 'timeline');
+    
+    const quotes = await populateFeedTweets(
+      Tweet.find({
+        quotedTweet: tweet._id,
+        author: { $nin: [...blockedIds, ...mutes.accountIds] }
+      })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+    );
+    
+    // Hide protected quotes the viewer cannot see and muted keywords
+    const hiddenIds = await getHiddenAuthorIds(viewerId, quotes);
+    const visibleQuotes = filterMutedTweets(filterExcludedTweets(quotes, hiddenIds), mutes);
+    
+    recordImpressions(visibleQuotes, viewerId);
+    
+    // Add additional fields for frontend
+    const quotesWithMeta = await formatTweets(visibleQuotes, viewerId);
+    
+    res.json(quotesWithMeta);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Vote in a tweet's poll
+// @route   POST /api/tweets/:id/poll/vote
+// @access  Private
+const voteInPoll = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const option = Number(req.body.option);
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    let tweet = await Tweet.findById(id);
+    
+    // Voting on a retweet votes in the tweet it repeats
+    if (tweet && tweet.isRetweet) {
+      tweet = await Tweet.findById(tweet.originalTweet);
+    }
+    
+    if (!tweet || !tweet.poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+    
+    if (tweet.author.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot vote in your own poll' });
+    }
+    
+    if (await isBlockedBetween(req.user._id, tweet.author)) {
+      return res.status(403).json({ message: 'You cannot interact with this user' });
+    }
+    
+    if (!(await canViewTweet(req.user._id, tweet))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
+    if (!Number.isInteger(option) || option < 0 || option >= tweet.poll.options.length) {
+      return res.status(400).json({ message: `option must be a number between 0 and ${tweet.poll.options.length - 1}` });
+    }
+    
+    // One vote per user, only while the poll is open
+    const updated = await castVote(tweet._id, req.user._id, option);
+    
+    if (!updated) {
+      const current = await Tweet.findById(tweet._id).select('poll');
+      
+      return res.status(400).json({
+        message: current && !isPollClosed(current.poll)
+          ? 'You have already voted in this poll'
+          : 'This poll has ended'
+      });
+    }
+    
+    res.json({
+      message: 'Vote recorded',
+      poll: formatPoll(updated.poll, req.user._id, updated.author, option)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Reply to a tweet
 // @route   POST /api/tweets/:id/reply
 // @access  Private
@@ -393,17 +791,30 @@ const replyToTweet = async (req, res, next) => {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
+    if (await isBlockedBetween(req.user._id, parentTweet.author)) {
+      return res.status(403).json({ message: 'You cannot interact with this user' });
+    }
+    
+    if (!(await canViewTweet(req.user._id, parentTweet))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
+    const mentionedUsers = await findMentionedUsers(text, req.user._id);
+    
     // Create reply tweet
     const replyTweet = await Tweet.create({
       text,
       author: req.user._id,
       isReply: true,
-      parentTweet: parentTweet._id
+      parentTweet: parentTweet._id,
+      conversationId: parentTweet.conversationId || parentTweet._id,
+      mentions: mentionedUsers.map(user => user._id)
     });
     
     // Add reply to parent tweet
     parentTweet.replies.push(replyTweet._id);
     await parentTweet.save();
+    recordEngagement(parentTweet, 'replies');
     
     // Populate author details
     const populatedReply = await Tweet.findById(replyTweet._id)
@@ -411,7 +822,7 @@ const replyToTweet = async (req, res, next) => {
     
     // Create notification (only if not replying to own tweet)
     if (parentTweet.author.toString() !== req.user._id.toString()) {
-      await Notification.create({
+      await createNotification({
         recipient: parentTweet.author,
         sender: req.user._id,
         type: 'reply',
@@ -451,40 +862,36 @@ const getTweetReplies = async (req, res, next) => {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    const replies = await Tweet.find({
-      parentTweet: tweet._id,
-      isReply: true
-    })
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit))
-      .populate('author', '_id name username profileImageUrl isVerified');
+    const viewerId = req.user && req.user._id;
     
-    // Add additional fields for frontend
-    const repliesWithMeta = replies.map(reply => {
-      const isLiked = req.user ? 
-        reply.likes.includes(req.user._id) : 
-        false;
-      
-      const isRetweeted = req.user ? 
-        reply.retweets.includes(req.user._id) : 
-        false;
-      
-      return {
-        _id: reply._id,
-        text: reply.text,
-        author: reply.author,
-        imageUrl: reply.imageUrl,
-        createdAt: reply.createdAt,
-        likes: reply.likes.length,
-        retweets: reply.retweets.length,
-        replies: reply.replies.length,
-        isLiked,
-        isRetweeted,
+    if (!(await canViewTweet(viewerId, tweet))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
+    const blockedIds = await getBlockedUserIds(viewerId);
+    
+    const replies = await populateFeedTweets(
+      Tweet.find({
+        parentTweet: tweet._id,
         isReply: true,
-        parentTweet: reply.parentTweet
-      };
-    });
+        author: { $nin: blockedIds }
+      })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+    );
+    
+    // Hide protected replies the viewer cannot see
+    const hiddenIds = await getHiddenAuthorIds(viewerId, replies);
+    const visibleReplies = filterExcludedTweets(replies, [...blockedIds, ...hiddenIds]);
+    
+    // Add additional fields for frontend
+    const pollVotes = await getViewerPollVotes(viewerId, visibleReplies);
+    const repliesWithMeta = visibleReplies.map(reply => ({
+      ...formatTweet(reply, viewerId, pollVotes),
+      isReply: true,
+      parentTweet: reply.parentTweet
+    }));
     
     res.json(repliesWithMeta);
   } catch (error) {
@@ -492,12 +899,82 @@ const getTweetReplies = async (req, res, next) => {
   }
 };
 
-// @desc    Delete a tweet
-// @route   DELETE /api/tweets/:id
+// @desc    Get the conversation around a tweet
+// @route   GET /api/tweets/:id/conversation
+// @access  Public
+const getTweetConversation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const tweet = await populateFeedTweets(Tweet.findById(id));
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const viewerId = req.user && req.user._id;
+    
+    // The author may be gone (e.g. a purged account)
+    if (viewerId && tweet.author && await isBlockedBetween(viewerId, tweet.author._id)) {
+      return res.status(403).json({ message: 'You cannot view tweets from this user' });
+    }
+    
+    if (!(await canViewTweet(viewerId, tweet))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
+    const blockedIds = await getBlockedUserIds(viewerId);
+    
+    const conversation = await getConversation(tweet, blockedIds, { viewerId, page, limit });
+    const excludedAuthorIds = [...blockedIds, ...conversation.hiddenAuthorIds];
+    
+    const collectTweets = (nodes) => nodes.flatMap(node => [node.tweet, ...collectTweets(node.replies)]);
+    const shownTweets = [tweet, ...conversation.ancestors.filter(Boolean), ...collectTweets(conversation.replies)];
+    
+    hideExcludedQuotes(shownTweets, excludedAuthorIds);
+    recordImpressions(shownTweets, viewerId);
+    
+    const pollVotes = await getViewerPollVotes(viewerId, shownTweets);
+    
+    // Format a reply and the replies shown below it
+    const formatNode = (node) => ({
+      ...formatTweet(node.tweet, viewerId, pollVotes),
+      isReply: true,
+      parentTweet: node.tweet.parentTweet,
+      replyTree: node.replies.map(formatNode)
+    });
+    
+    res.json({
+      conversationId: tweet.conversationId,
+      // Unavailable ancestors (e.g. by blocked users) are returned as null
+      ancestors: conversation.ancestors.map(ancestor => ancestor && formatTweet(ancestor, viewerId, pollVotes)),
+      tweet: formatTweet(tweet, viewerId, pollVotes),
+      replies: conversation.replies.map(formatNode),
+      page,
+      hasMore: conversation.hasMore
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit a tweet
+// @route   PUT /api/tweets/:id
 // @access  Private
-const deleteTweet = async (req, res, next) => {
+const editTweet = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { text } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
     
     const tweet = await Tweet.findById(id);
     
@@ -507,34 +984,236 @@ const deleteTweet = async (req, res, next) => {
     
     // Check if user is author
     if (tweet.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this tweet' });
+      return res.status(403).json({ message: 'Not authorized to edit this tweet' });
     }
     
-    // If tweet has an image, delete from cloudinary
-    if (tweet.imageUrl) {
-      const publicId = tweet.imageUrl.split('/').pop().split('.')[0];
-      await cloudinary.uploader.destroy(`chirp-social/tweets/${publicId}`);
+    if (tweet.isRetweet) {
+      return res.status(400).json({ message: 'Retweets cannot be edited' });
     }
     
-    // Remove tweet from parent's replies if it's a reply
-    if (tweet.isReply && tweet.parentTweet) {
-      await Tweet.findByIdAndUpdate(tweet.parentTweet, {
-        $pull: { replies: tweet._id }
-      });
+    // Votes were cast on the text as it was
+    if (tweet.poll && tweet.poll.totalVotes > 0) {
+      return res.status(400).json({ message: 'Tweets with poll votes cannot be edited' });
+    }
+    
+    if (typeof text !== 'string' || (!text.trim() && tweet.media.length === 0)) {
+      return res.status(400).json({ message: 'Tweet text is required' });
+    }
+    
+    if (Date.now() - tweet.createdAt.getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+      return res.status(400).json({ message: `Tweets can only be edited within ${EDIT_WINDOW_MINUTES} minutes of posting` });
+    }
+    
+    if (tweet.editHistory.length >= MAX_EDITS) {
+      return res.status(400).json({ message: `Tweets can only be edited ${MAX_EDITS} times` });
+    }
+    
+    if (text === tweet.text) {
+      return res.status(400).json({ message: 'The new text is the same as the current text' });
+    }
+    
+    const previousHashtags = [...tweet.hashtags];
+    const previousMentions = tweet.mentions.map(userId => userId.toString());
+    const mentionedUsers = await findMentionedUsers(text, req.user._id);
+    
+    // Keep the current version in the history
+    const previousVersion = {
+      text: tweet.text,
+      createdAt: tweet.editedAt || tweet.createdAt
+    };
+    tweet.editHistory.push(previousVersion);
+    tweet.text = text;
+    tweet.mentions = mentionedUsers.map(user => user._id);
+    tweet.editedAt = new Date();
+    
+    // The pre-validate hook re-extracts the hashtags
+    await tweet.validate();
+    
+    // Votes can be cast at any time, so only save while the poll has none
+    const result = await Tweet.updateOne(
+      { _id: tweet._id, ...(tweet.poll && { 'poll.totalVotes': 0 }) },
+      {
+        text: tweet.text,
+        hashtags: tweet.hashtags,
+        mentions: tweet.mentions,
+        editedAt: tweet.editedAt,
+        $push: { editHistory: previousVersion }
+      }
+    );
+    
+    if (result.matchedCount === 0) {
+      return tweet.poll
+        ? res.status(400).json({ message: 'Tweets with poll votes cannot be edited' })
+        : res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    // Keep the copies held by retweets in sync
+    await Tweet.updateMany({ isRetweet: true, originalTweet: tweet._id }, { text: tweet.text, hashtags: tweet.hashtags });
+    
+    // Update trending topics for added and removed hashtags
+    const addedHashtags = tweet.hashtags.filter(tag => !previousHashtags.includes(tag));
+    const removedHashtags = previousHashtags.filter(tag => !tweet.hashtags.includes(tag));
+    
+    if (addedHashtags.length > 0 && !req.user.isProtected) {
+      await addToTrending(tweet._id, addedHashtags);
     }
     
-    // Remove tweet from original's retweets if it's a retweet
-    if (tweet.isRetweet && tweet.originalTweet) {
-      await Tweet.findByIdAndUpdate(tweet.originalTweet, {
-        $pull: { retweets: req.user._id }
+    await removeFromTrending(tweet._id, removedHashtags);
+    
+    // Notify newly mentioned users and withdraw notifications of removed mentions
+    const currentMentions = tweet.mentions.map(userId => userId.toString());
+    const addedMentions = mentionedUsers.filter(user => !previousMentions.includes(user._id.toString()));
+    const removedMentions = previousMentions.filter(userId => !currentMentions.includes(userId));
+    
+    await notifyMentionedUsers(tweet, addedMentions, req.user);
+    
+    if (removedMentions.length > 0) {
+      await Notification.deleteMany({
+        tweet: tweet._id,
+        type: 'mention',
+        recipient: { $in: removedMentions }
       });
     }
     
-    // Delete related notifications
-    await Notification.deleteMany({ tweet: tweet._id });
+    const populatedTweet = await populateFeedTweets(Tweet.findById(tweet._id));
+    
+    const [tweetWithMeta] = await formatTweets([populatedTweet], req.user._id);
+    
+    res.json({
+      ...tweetWithMeta,
+      editCount: populatedTweet.editHistory.length,
+      editsRemaining: MAX_EDITS - populatedTweet.editHistory.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the edit history of a tweet
+// @route   GET /api/tweets/:id/history
+// @access  Public
+const getTweetHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const tweet = await Tweet.findById(id);
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const viewerId = req.user && req.user._id;
+    
+    if (viewerId && await isBlockedBetween(viewerId, tweet.author)) {
+      return res.status(403).json({ message: 'You cannot view tweets from this user' });
+    }
+    
+    if (!(await canViewTweet(viewerId, tweet))) {
+      return res.status(403).json({ message: 'This tweet is protected' });
+    }
+    
+    // Newest version first
+    const versions = [
+      { text: tweet.text, createdAt: tweet.editedAt || tweet.createdAt, isCurrent: true },
+      ...tweet.editHistory
+        .map(version => ({ text: version.text, createdAt: version.createdAt, isCurrent: false }))
+        .reverse()
+    ];
+    
+    res.json({
+      tweet: tweet._id,
+      editCount: tweet.editHistory.length,
+      versions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pin a tweet to the current user's profile
+// @route   POST /api/tweets/:id/pin
+// @access  Private
+const pinTweet = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const tweet = await Tweet.findById(id);
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    // Check if user is author
+    if (tweet.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only pin your own tweets' });
+    }
+    
+    if (tweet.isRetweet) {
+      return res.status(400).json({ message: 'Retweets cannot be pinned' });
+    }
+    
+    // Pinning replaces any previously pinned tweet
+    await User.updateOne({ _id: req.user._id }, { pinnedTweet: tweet._id });
+    
+    res.json({ message: 'Tweet pinned', pinnedTweet: tweet._id });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unpin a tweet from the current user's profile
+// @route   POST /api/tweets/:id/unpin
+// @access  Private
+const unpinTweet = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const result = await User.updateOne(
+      { _id: req.user._id, pinnedTweet: id },
+      { pinnedTweet: null }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ message: 'This tweet is not pinned' });
+    }
+    
+    res.json({ message: 'Tweet unpinned' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a tweet
+// @route   DELETE /api/tweets/:id
+// @access  Private
+const deleteTweet = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const tweet = await Tweet.findById(id);
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
     
-    // Delete the tweet
-    await tweet.remove();
+    // Check if user is author
+    if (tweet.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to delete this tweet' });
+    }
+    
+    await removeTweet(tweet);
     
     res.json({ message: 'Tweet deleted successfully' });
   } catch (error) {
@@ -553,41 +1232,31 @@ const searchTweets = async (req, res, next) => {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
+    const viewerId = req.user && req.user._id;
+    const blockedIds = await getBlockedUserIds(viewerId);
+    const mutes = await getActiveMutes(viewerId, 'timeline');
+    
     // Search tweets by text or hashtags
-    const tweets = await Tweet.find({
-      $or: [
-        { text: { $regex: query, $options: 'i' } },
-        { hashtags: { $in: [query.replace('#', '').toLowerCase()] } }
-      ]
-    })
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit))
-      .populate('author', '_id name username profileImageUrl isVerified');
+    const tweets = await populateFeedTweets(
+      Tweet.find({
+        $or: [
+          { text: { $regex: query, $options: 'i' } },
+          { hashtags: { $in: [query.replace('#', '').toLowerCase()] } }
+        ],
+        author: { $nin: [...blockedIds, ...mutes.accountIds] }
+      })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+    );
+    
+    // Hide protected tweets the viewer cannot see and muted keywords
+    const hiddenIds = await getHiddenAuthorIds(viewerId, tweets);
+    const visibleTweets = filterMutedTweets(filterExcludedTweets(tweets, [...blockedIds, ...hiddenIds]), mutes);
+    recordImpressions(visibleTweets, viewerId);
     
     // Add additional fields for frontend
-    const tweetsWithMeta = tweets.map(tweet => {
-      const isLiked = req.user ? 
-        tweet.likes.includes(req.user._id) : 
-        false;
-      
-      const isRetweeted = req.user ? 
-        tweet.retweets.includes(req.user._id) : 
-        false;
-      
-      return {
-        _id: tweet._id,
-        text: tweet.text,
-        author: tweet.author,
-        imageUrl: tweet.imageUrl,
-        createdAt: tweet.createdAt,
-        likes: tweet.likes.length,
-        retweets: tweet.retweets.length,
-        replies: tweet.replies.length,
-        isLiked,
-        isRetweeted
-      };
-    });
+    const tweetsWithMeta = await formatTweets(visibleTweets, viewerId);
     
     res.json(tweetsWithMeta);
   } catch (error) {
@@ -597,13 +1266,22 @@ const searchTweets = async (req, res, next) => {
 
 module.exports = {
   createTweet,
+  createThread,
   getTimeline,
   getTrendingTweets,
   getTweetById,
   likeTweet,
   retweetTweet,
+  quoteTweet,
+  getTweetQuotes,
+  voteInPoll,
   replyToTweet,
   getTweetReplies,
+  getTweetConversation,
   deleteTweet,
+  editTweet,
+  getTweetHistory,
+  pinTweet,
+  unpinTweet,
   searchTweets
 };
@@ -0,0 +1,227 @@
+const User = require('../models/User');
+const { createSession } = require('../utils/sessions');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const {
+  verifyTwoFactorChallenge,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const {
+  sendLockedResponse,
+  sendSuspendedResponse,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginProtection');
+const { cancelAccountDeletion } = require('../utils/accountDeletion');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    // Keep the secret pending until the user confirms a code
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+    
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm two-factor enrollment
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+const confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Two-factor setup has not been started' });
+    }
+    
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    
+    // Activate 2FA and issue recovery codes
+    const { codes, hashes } = generateRecoveryCodes();
+    
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+    
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    // Require both the password and a second factor
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+    
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+    
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    
+    // Replace all existing recovery codes
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+    
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete login with a second factor
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and authentication code are required' });
+    }
+    
+    // Verify challenge token
+    const decoded = verifyTwoFactorChallenge(challengeToken);
+    
+    const user = await User.findById(decoded.id)
+      .select(`${TWO_FACTOR_FIELDS} +failedLoginAttempts +lockUntil`);
+    
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Invalid challenge token' });
+    }
+    
+    // Reject attempts while the account is locked
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user.lockUntil);
+    }
+    
+    // Failed codes count towards the account lockout
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      const lockUntil = await recordFailedLogin(user, req);
+      
+      if (lockUntil) {
+        return sendLockedResponse(res, lockUntil);
+      }
+      
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    
+    await clearFailedLogins(user);
+    
+    if (user.isSuspended()) {
+      return sendSuspendedResponse(res, user);
+    }
+    
+    // Logging in during the grace period restores a deleted account
+    const accountRestored = await cancelAccountDeletion(user);
+    
+    // Start a session and generate tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
+    
+    res.json({
+      user: {
+        _id: user._id,
+        name: user.name,
+        username: user.username,
+        email: user.email,
+        profileImageUrl: user.profileImageUrl,
+        isVerified: user.isVerified,
+        emailVerified: user.emailVerified
+      },
+      accessToken,
+      refreshToken,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+      accountRestored
+    });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+};
@@ -4,6 +4,47 @@ const Tweet = require('../models/Tweet');
 const Notification = require('../models/Notification');
 const mongoose = require('mongoose');
 const cloudinary = require('cloudinary').v2;
+const { scheduleAccountDeletion } = require('../utils/accountDeletion');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const Block = require('../models/Block');
+const FollowRequest = require('../models/FollowRequest');
+const Follow = require('../models/Follow');
+const List = require('../models/List');
+const { getBlockedUserIds, isBlockedBetween } = require('../utils/blocks');
+const { createNotification } = require('../utils/notifications');
+const { canViewTweetsOf, getHiddenAuthorIds } = require('../utils/visibility');
+const followGraph = require('../utils/followGraph');
+const { getRecommendations, dismissRecommendation } = require('../utils/recommendations');
+const { populateFeedTweets, hideExcludedQuotes, formatTweets } = require('../utils/tweetFeed');
+const { recordImpressions, recordProfileView } = require('../utils/analytics');
+const {
+  findReservation,
+  isUsernameAvailable,
+  getNextUsernameChangeAt,
+  changeUsername,
+  reserveUsername
+} = require('../utils/usernames');
+
+// Turn a follow request into a follow and notify the requester
+const approveRequest = async (request) => {
+  await followGraph.follow(request.requester, request.target);
+  await request.deleteOne();
+  
+  await createNotification({
+    recipient: request.requester,
+    sender: request.target,
+    type: 'follow_accept'
+  });
+};
+
+// Get the authors whose quoted tweets are hidden from a viewer in a set
+// of loaded tweets
+const getQuoteExclusions = async (viewerId, tweets) => {
+  const blockedIds = await getBlockedUserIds(viewerId);
+  const hiddenIds = await getHiddenAuthorIds(viewerId, tweets);
+  
+  return [...blockedIds, ...hiddenIds];
+};
 
 // @desc    Get user profile by username
 // @route   GET /api/users/:username
@@ -12,15 +53,27 @@ const getUserProfile = async (req, res, next) => {
   try {
     const { username } = req.params;
     
-    const user = await User.findOne({ username })
-      .select('-refreshToken -__v')
-      .populate('followers', '_id name username profileImageUrl')
-      .populate('following', '_id name username profileImageUrl');
+    const user = await User.findOne({ username, deletionScheduledAt: null })
+      .select('-__v');
     
     if (!user) {
+      // Redirect lookups of a recently changed handle to the new one
+      const reservation = await findReservation(username);
+      const renamedUser = reservation &&
+        await User.findOne({ _id: reservation.user, deletionScheduledAt: null }).select('username');
+      
+      if (renamedUser) {
+        return res
+          .status(301)
+          .location(`${req.baseUrl}/${renamedUser.username}`)
+          .json({ message: 'User has changed their username', username: renamedUser.username });
+      }
+      
       return res.status(404).json({ message: 'User not found' });
     }
     
+    recordProfileView(user._id, req.user && req.user._id);
+    
     // Count user's tweets
     const tweetCount = await Tweet.countDocuments({ 
       author: user._id,
@@ -30,10 +83,30 @@ const getUserProfile = async (req, res, next) => {
     
     // Check if the requesting user is following this user
     let isFollowing = false;
+    let followRequested = false;
     if (req.user) {
-      isFollowing = user.followers.some(
-        follower => follower._id.toString() === req.user._id.toString()
-      );
+      isFollowing = await followGraph.isFollowing(req.user._id, user._id);
+      
+      if (!isFollowing && user.isProtected) {
+        followRequested = await FollowRequest.exists({ requester: req.user._id, target: user._id }) !== null;
+      }
+    }
+    
+    // Include the pinned tweet if the viewer can see the user's tweets
+    // and there is no block between them
+    let pinnedTweet = null;
+    const canViewPinnedTweet = user.pinnedTweet &&
+      !(req.user && await isBlockedBetween(req.user._id, user._id)) &&
+      await canViewTweetsOf(req.user && req.user._id, user);
+    
+    if (canViewPinnedTweet) {
+      const tweet = await populateFeedTweets(Tweet.findById(user.pinnedTweet));
+      
+      if (tweet) {
+        hideExcludedQuotes([tweet], await getQuoteExclusions(req.user && req.user._id, [tweet]));
+        const [tweetWithMeta] = await formatTweets([tweet], req.user && req.user._id);
+        pinnedTweet = { ...tweetWithMeta, isPinned: true };
+      }
     }
     
     res.json({
@@ -46,10 +119,13 @@ const getUserProfile = async (req, res, next) => {
       profileImageUrl: user.profileImageUrl,
       coverImageUrl: user.coverImageUrl,
       isVerified: user.isVerified,
-      followers: user.followers.length,
-      following: user.following.length,
+      isProtected: user.isProtected,
+      followers: user.followerCount,
+      following: user.followingCount,
       tweetCount,
       isFollowing,
+      followRequested,
+      pinnedTweet,
       createdAt: user.createdAt
     });
   } catch (error) {
@@ -65,53 +141,52 @@ const getUserTweets = async (req, res, next) => {
     const { username } = req.params;
     const { page = 1, limit = 10 } = req.query;
     
-    const user = await User.findOne({ username });
+    const user = await User.findOne({ username, deletionScheduledAt: null });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const tweets = await Tweet.find({
-      author: user._id,
-      isReply: false
-    })
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit))
-      .populate('author', '_id name username profileImageUrl isVerified')
-      .populate({
-        path: 'originalTweet',
-        populate: {
-          path: 'author',
-          select: '_id name username profileImageUrl isVerified'
-        }
-      });
+    // Hide tweets when there is a block between the viewer and the author
+    if (req.user && await isBlockedBetween(req.user._id, user._id)) {
+      return res.status(403).json({ message: 'You cannot view tweets from this user' });
+    }
+    
+    // Protected accounts only share their tweets with approved followers
+    if (!(await canViewTweetsOf(req.user && req.user._id, user))) {
+      return res.status(403).json({ message: 'This account\'s tweets are protected' });
+    }
+    
+    // The pinned tweet is shown first and left out of the rest of the list
+    const filter = { author: user._id, isReply: false };
+    if (user.pinnedTweet) filter._id = { $ne: user.pinnedTweet };
+    
+    const tweets = await populateFeedTweets(
+      Tweet.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+    );
+    
+    const pinnedTweet = user.pinnedTweet && Number(page) === 1
+      ? await populateFeedTweets(Tweet.findById(user.pinnedTweet))
+      : null;
+    
+    const excludedAuthorIds = await getQuoteExclusions(req.user && req.user._id, [...tweets, pinnedTweet]);
+    hideExcludedQuotes(tweets, excludedAuthorIds);
+    
+    recordImpressions(tweets, req.user && req.user._id);
     
     // Add additional fields for frontend
-    const tweetsWithMeta = tweets.map(tweet => {
-      const isLiked = req.user ? 
-        tweet.likes.includes(req.user._id) : 
-        false;
-      
-      const isRetweeted = req.user ? 
-        tweet.retweets.includes(req.user._id) : 
-        false;
+    const tweetsWithMeta = await formatTweets(tweets, req.user && req.user._id);
+    
+    if (pinnedTweet) {
+      hideExcludedQuotes([pinnedTweet], excludedAuthorIds);
+      recordImpressions([pinnedTweet], req.user && req.user._id);
       
-      return {
-        _id: tweet._id,
-        text: tweet.text,
-        author: tweet.author,
-        imageUrl: tweet.imageUrl,
-        createdAt: tweet.createdAt,
-        likes: tweet.likes.length,
-        retweets: tweet.retweets.length,
-        replies: tweet.replies.length,
-        isLiked,
-        isRetweeted,
-        isRetweet: tweet.isRetweet,
-        originalTweet: tweet.originalTweet
-      };
-    });
+      const [pinnedWithMeta] = await formatTweets([pinnedTweet], req.user && req.user._id);
+      tweetsWithMeta.unshift({ ...pinnedWithMeta, isPinned: true });
+    }
     
     res.json(tweetsWithMeta);
   } catch (error) {
@@ -119,6 +194,191 @@ const getUserTweets = async (req, res, next) => {
   }
 };
 
+// Maximum number of users returned per page of a follow list
+const MAX_CONNECTIONS_PAGE_SIZE = 100;
+
+// Fields returned for users in follow lists
+const CONNECTION_FIELDS = '_id name username profileImageUrl bio isVerified isProtected';
+
+// Read the cursor and page size of a follow list request
+const parsePageQuery = (req) => {
+  const { cursor } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), MAX_CONNECTIONS_PAGE_SIZE);
+  
+  if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+    return { error: 'Invalid cursor' };
+  }
+  
+  return { cursor: cursor ? new mongoose.Types.ObjectId(cursor) : null, limit };
+};
+
+// Send a page of follow edges (fetched with one extra edge to detect
+// further pages) as users with their relationship to the viewer
+const sendUserPage = async (req, res, edges, userField, limit) => {
+  const hasMore = edges.length > limit;
+  const page = edges.slice(0, limit);
+  
+  await Follow.populate(page, {
+    path: userField,
+    select: CONNECTION_FIELDS,
+    match: { deletionScheduledAt: null }
+  });
+  
+  const viewerId = req.user && req.user._id;
+  const blockedSet = new Set((await getBlockedUserIds(viewerId)).map(id => id.toString()));
+  
+  const users = page
+    .map(edge => edge[userField])
+    .filter(user => user && !blockedSet.has(user._id.toString()));
+  
+  const relationships = await followGraph.getRelationships(viewerId, users.map(user => user._id));
+  
+  res.json({
+    users: users.map(user => ({
+      ...(user.toObject ? user.toObject() : user),
+      isFollowing: relationships.following.has(user._id.toString()),
+      followsYou: relationships.followedBy.has(user._id.toString())
+    })),
+    nextCursor: hasMore ? page[page.length - 1]._id : null
+  });
+};
+
+// Find the user whose follow lists are requested, checking that the viewer may see them
+const findListOwner = async (req) => {
+  const user = await User.findOne({ username: req.params.username, deletionScheduledAt: null })
+    .select('_id isProtected');
+  
+  if (!user) {
+    return { error: 'User not found', status: 404 };
+  }
+  
+  if (req.user && await isBlockedBetween(req.user._id, user._id)) {
+    return { error: 'You cannot view this user\'s connections', status: 403 };
+  }
+  
+  // Protected accounts only share their connections with approved followers
+  if (!(await canViewTweetsOf(req.user && req.user._id, user))) {
+    return { error: 'This account is protected', status: 403 };
+  }
+  
+  return { user };
+};
+
+// @desc    Get followers of a user
+// @route   GET /api/users/:username/followers
+// @access  Public
+const getFollowers = async (req, res, next) => {
+  try {
+    const { user, error, status } = await findListOwner(req);
+    
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    
+    const { cursor, limit, error: pageError } = parsePageQuery(req);
+    
+    if (pageError) {
+      return res.status(400).json({ message: pageError });
+    }
+    
+    const filter = { following: user._id };
+    if (cursor) filter._id = { $lt: cursor };
+    
+    const edges = await Follow.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+    
+    await sendUserPage(req, res, edges, 'follower', limit);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get users followed by a user
+// @route   GET /api/users/:username/following
+// @access  Public
+const getFollowing = async (req, res, next) => {
+  try {
+    const { user, error, status } = await findListOwner(req);
+    
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    
+    const { cursor, limit, error: pageError } = parsePageQuery(req);
+    
+    if (pageError) {
+      return res.status(400).json({ message: pageError });
+    }
+    
+    const filter = { follower: user._id };
+    if (cursor) filter._id = { $lt: cursor };
+    
+    const edges = await Follow.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+    
+    await sendUserPage(req, res, edges, 'following', limit);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get followers of a user that the current user follows
+// @route   GET /api/users/:username/followers/you-know
+// @access  Private
+const getFollowersYouKnow = async (req, res, next) => {
+  try {
+    const { user, error, status } = await findListOwner(req);
+    
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    
+    const { cursor, limit, error: pageError } = parsePageQuery(req);
+    
+    if (pageError) {
+      return res.status(400).json({ message: pageError });
+    }
+    
+    const match = { following: user._id };
+    if (cursor) match._id = { $lt: cursor };
+    
+    // Keep the followers that have a follow edge from the current user
+    const edges = await Follow.aggregate([
+      { $match: match },
+      { $sort: { _id: -1 } },
+      {
+        $lookup: {
+          from: Follow.collection.name,
+          let: { followerId: '$follower' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$follower', req.user._id] },
+                    { $eq: ['$following', '$$followerId'] }
+                  ]
+                }
+              }
+            },
+            { $limit: 1 }
+          ],
+          as: 'viewerEdge'
+        }
+      },
+      { $match: { viewerEdge: { $ne: [] } } },
+      { $limit: limit + 1 },
+      { $project: { follower: 1 } }
+    ]);
+    
+    await sendUserPage(req, res, edges, 'follower', limit);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Follow a user
 // @route   POST /api/users/:id/follow
 // @access  Private
@@ -138,28 +398,47 @@ const followUser = async (req, res, next) => {
       return res.status(400).json({ message: 'You cannot follow yourself' });
     }
     
+    if (await isBlockedBetween(req.user._id, userToFollow._id)) {
+      return res.status(403).json({ message: 'You cannot follow this user' });
+    }
+    
     // Check if already following
-    if (userToFollow.followers.includes(req.user._id)) {
+    if (await followGraph.isFollowing(req.user._id, userToFollow._id)) {
       return res.status(400).json({ message: 'You are already following this user' });
     }
     
-    // Add current user to followers of target user
-    userToFollow.followers.push(req.user._id);
-    await userToFollow.save();
+    // Protected accounts have to approve new followers
+    if (userToFollow.isProtected) {
+      const existing = await FollowRequest.findOne({ requester: req.user._id, target: userToFollow._id });
+      
+      if (existing) {
+        return res.status(400).json({ message: 'You have already requested to follow this user' });
+      }
+      
+      await FollowRequest.create({ requester: req.user._id, target: userToFollow._id });
+      
+      await createNotification({
+        recipient: userToFollow._id,
+        sender: req.user._id,
+        type: 'follow_request'
+      });
+      
+      return res.json({ message: 'Follow request sent', pending: true });
+    }
     
-    // Add target user to following of current user
-    const currentUser = await User.findById(req.user._id);
-    currentUser.following.push(userToFollow._id);
-    await currentUser.save();
+    // Create the follow edge (a concurrent request may have created it already)
+    if (!(await followGraph.follow(req.user._id, userToFollow._id))) {
+      return res.status(400).json({ message: 'You are already following this user' });
+    }
     
     // Create notification
-    await Notification.create({
+    await createNotification({
       recipient: userToFollow._id,
       sender: req.user._id,
       type: 'follow'
     });
     
-    res.json({ message: 'User followed successfully' });
+    res.json({ message: 'User followed successfully', pending: false });
   } catch (error) {
     next(error);
   }
@@ -184,24 +463,29 @@ const unfollowUser = async (req, res, next) => {
       return res.status(400).json({ message: 'You cannot unfollow yourself' });
     }
     
-    // Check if not following
-    if (!userToUnfollow.followers.includes(req.user._id)) {
+    // Remove the follow edge
+    const unfollowed = await followGraph.unfollow(req.user._id, userToUnfollow._id);
+    
+    if (!unfollowed) {
+      // Unfollowing a protected account cancels a pending request
+      const request = await FollowRequest.findOneAndDelete({
+        requester: req.user._id,
+        target: userToUnfollow._id
+      });
+      
+      if (request) {
+        await Notification.deleteMany({
+          recipient: userToUnfollow._id,
+          sender: req.user._id,
+          type: 'follow_request'
+        });
+        
+        return res.json({ message: 'Follow request cancelled' });
+      }
+      
       return res.status(400).json({ message: 'You are not following this user' });
     }
     
-    // Remove current user from followers of target user
-    userToUnfollow.followers = userToUnfollow.followers.filter(
-      follower => follower.toString() !== req.user._id.toString()
-    );
-    await userToUnfollow.save();
-    
-    // Remove target user from following of current user
-    const currentUser = await User.findById(req.user._id);
-    currentUser.following = currentUser.following.filter(
-      following => following.toString() !== userToUnfollow._id.toString()
-    );
-    await currentUser.save();
-    
     res.json({ message: 'User unfollowed successfully' });
   } catch (error) {
     next(error);
@@ -213,7 +497,11 @@ const unfollowUser = async (req, res, next) => {
 // @access  Private
 const updateUserProfile = async (req, res, next) => {
   try {
-    const { name, bio, location, website } = req.body;
+    const { name, username, bio, location, website, isProtected } = req.body;
+    
+    if (isProtected !== undefined && typeof isProtected !== 'boolean') {
+      return res.status(400).json({ message: 'isProtected must be a boolean' });
+    }
     
     // Find user
     const user = await User.findById(req.user._id);
@@ -228,6 +516,35 @@ const updateUserProfile = async (req, res, next) => {
     if (location !== undefined) user.location = location;
     if (website !== undefined) user.website = website;
     
+    // Change the username; the old handle is reserved once the user is saved
+    let oldUsername = null;
+    if (username !== undefined && String(username).trim().toLowerCase() !== user.username) {
+      const nextChangeAt = getNextUsernameChangeAt(user);
+      
+      if (nextChangeAt && nextChangeAt > Date.now()) {
+        return res.status(400).json({
+          message: 'You have changed your username too recently',
+          nextUsernameChangeAt: nextChangeAt
+        });
+      }
+      
+      if (!(await isUsernameAvailable(String(username).trim(), user._id))) {
+        return res.status(400).json({ message: 'Username already exists' });
+      }
+      
+      oldUsername = changeUsername(user, String(username).trim());
+    }
+    
+    // Making an account public accepts all pending follow requests
+    let approvePendingRequests = false;
+    if (isProtected !== undefined) {
+      approvePendingRequests = user.isProtected && !isProtected;
+      user.isProtected = isProtected;
+    }
+    
+    // Validate the changes before uploading images
+    await user.validate();
+    
     // Handle profile image upload
     if (req.files && req.files.profileImage) {
       // Upload to cloudinary
@@ -245,6 +562,19 @@ const updateUserProfile = async (req, res, next) => {
     // Save updated user
     await user.save();
     
+    // Keep the old handle reserved for the user for a while
+    if (oldUsername) {
+      await reserveUsername(user, oldUsername);
+    }
+    
+    if (approvePendingRequests) {
+      const requests = await FollowRequest.find({ target: user._id });
+      
+      for (const request of requests) {
+        await approveRequest(request);
+      }
+    }
+    
     res.json({
       _id: user._id,
       name: user.name,
@@ -254,13 +584,86 @@ const updateUserProfile = async (req, res, next) => {
       website: user.website,
       profileImageUrl: user.profileImageUrl,
       coverImageUrl: user.coverImageUrl,
-      isVerified: user.isVerified
+      isVerified: user.isVerified,
+      isProtected: user.isProtected
     });
   } catch (error) {
     next(error);
   }
 };
 
+// @desc    Get pending follow requests
+// @route   GET /api/users/follow-requests
+// @access  Private
+const getFollowRequests = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const requests = await FollowRequest.find({ target: req.user._id })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .populate('requester', '_id name username profileImageUrl bio isVerified');
+    
+    res.json(requests
+      .filter(request => request.requester)
+      .map(request => ({
+        _id: request._id,
+        requester: request.requester,
+        createdAt: request.createdAt
+      })));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Find a follow request addressed to the current user
+const findIncomingRequest = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  
+  return FollowRequest.findOne({ _id: req.params.id, target: req.user._id });
+};
+
+// @desc    Approve a follow request
+// @route   POST /api/users/follow-requests/:id/approve
+// @access  Private
+const approveFollowRequest = async (req, res, next) => {
+  try {
+    const request = await findIncomingRequest(req);
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+    
+    await approveRequest(request);
+    
+    res.json({ message: 'Follow request approved' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a follow request
+// @route   POST /api/users/follow-requests/:id/reject
+// @access  Private
+const rejectFollowRequest = async (req, res, next) => {
+  try {
+    const request = await findIncomingRequest(req);
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+    
+    await request.deleteOne();
+    
+    res.json({ message: 'Follow request rejected' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get suggested users to follow
 // @route   GET /api/users/suggestions
 // @access  Private
@@ -268,19 +671,7 @@ const getSuggestedUsers = async (req, res, next) => {
   try {
     const { limit = 3 } = req.query;
     
-    // Get users that the current user is not following
-    const currentUser = await User.findById(req.user._id);
-    
-    const suggestions = await User.find({
-      _id: { 
-        $nin: [
-          req.user._id, 
-          ...currentUser.following
-        ] 
-      }
-    })
-      .select('_id name username profileImageUrl bio isVerified')
-      .limit(Number(limit));
+    const suggestions = await getRecommendations(req.user._id, Math.min(Number(limit) || 3, 50));
     
     res.json(suggestions);
   } catch (error) {
@@ -288,6 +679,25 @@ const getSuggestedUsers = async (req, res, next) => {
   }
 };
 
+// @desc    Dismiss a suggested user
+// @route   POST /api/users/suggestions/:id/dismiss
+// @access  Private
+const dismissSuggestion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id) || !(await User.exists({ _id: id }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await dismissRecommendation(req.user._id, id);
+    
+    res.json({ message: 'Suggestion dismissed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Search users
 // @route   GET /api/users/search
 // @access  Public
@@ -299,11 +709,15 @@ const searchUsers = async (req, res, next) => {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
+    const blockedIds = await getBlockedUserIds(req.user && req.user._id);
+    
     const users = await User.find({
       $or: [
         { name: { $regex: query, $options: 'i' } },
         { username: { $regex: query, $options: 'i' } }
-      ]
+      ],
+      _id: { $nin: blockedIds },
+      deletionScheduledAt: null
     })
       .select('_id name username profileImageUrl bio isVerified')
       .skip((page - 1) * limit)
@@ -315,6 +729,213 @@ const searchUsers = async (req, res, next) => {
   }
 };
 
+// @desc    Block a user
+// @route   POST /api/users/:id/block
+// @access  Private
+const blockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const userToBlock = await User.findById(id);
+    
+    if (!userToBlock) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (req.user._id.toString() === id) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+    
+    await Block.updateOne(
+      { blocker: req.user._id, blocked: userToBlock._id },
+      { $setOnInsert: { blocker: req.user._id, blocked: userToBlock._id } },
+      { upsert: true }
+    );
+    
+    // Remove follow relationships and pending requests in both directions
+    await followGraph.unfollow(req.user._id, userToBlock._id);
+    await followGraph.unfollow(userToBlock._id, req.user._id);
+    await FollowRequest.deleteMany({
+      $or: [
+        { requester: req.user._id, target: userToBlock._id },
+        { requester: userToBlock._id, target: req.user._id }
+      ]
+    });
+    
+    // Remove each user from the other's lists and list subscriptions
+    await List.updateMany(
+      { owner: req.user._id },
+      { $pull: { members: userToBlock._id, subscribers: userToBlock._id } }
+    );
+    await List.updateMany(
+      { owner: userToBlock._id },
+      { $pull: { members: req.user._id, subscribers: req.user._id } }
+    );
+    
+    res.json({ message: 'User blocked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unblock a user
+// @route   POST /api/users/:id/unblock
+// @access  Private
+const unblockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const result = await Block.deleteOne({ blocker: req.user._id, blocked: id });
+    
+    if (result.deletedCount === 0) {
+      return res.status(400).json({ message: 'You have not blocked this user' });
+    }
+    
+    res.json({ message: 'User unblocked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get blocked users
+// @route   GET /api/users/blocks
+// @access  Private
+const getBlockedUsers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const blocks = await Block.find({ blocker: req.user._id })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .populate('blocked', '_id name username profileImageUrl bio isVerified');
+    
+    res.json(blocks
+      .filter(block => block.blocked)
+      .map(block => ({
+        ...block.blocked.toObject(),
+        blockedAt: block.createdAt
+      })));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export personal data
+// @route   GET /api/users/me/export
+// @access  Private
+const exportUserData = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    const tweetFields = '_id text media hashtags isRetweet originalTweet quotedTweet parentTweet conversationId poll.options poll.totalVotes poll.endsAt editHistory editedAt createdAt updatedAt';
+    
+    const [tweets, replies, likedTweets, notifications, followers, following, lists] = await Promise.all([
+      Tweet.find({ author: user._id, isReply: false })
+        .select(tweetFields)
+        .sort({ createdAt: -1 }),
+      Tweet.find({ author: user._id, isReply: true })
+        .select(tweetFields)
+        .sort({ createdAt: -1 }),
+      Tweet.find({ likes: user._id })
+        .select('_id text author createdAt')
+        .populate('author', '_id username')
+        .sort({ createdAt: -1 }),
+      Notification.find({ recipient: user._id })
+        .select('type sender tweet list message read createdAt')
+        .populate('sender', '_id username')
+        .sort({ createdAt: -1 }),
+      Follow.find({ following: user._id })
+        .populate('follower', '_id name username')
+        .sort({ _id: -1 }),
+      Follow.find({ follower: user._id })
+        .populate('following', '_id name username')
+        .sort({ _id: -1 }),
+      List.find({ owner: user._id })
+        .select('_id name description isPrivate members createdAt')
+        .sort({ createdAt: -1 })
+    ]);
+    
+    const archive = {
+      exportedAt: new Date(),
+      profile: {
+        _id: user._id,
+        name: user.name,
+        username: user.username,
+        usernameHistory: user.usernameHistory,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        bio: user.bio,
+        location: user.location,
+        website: user.website,
+        profileImageUrl: user.profileImageUrl,
+        coverImageUrl: user.coverImageUrl,
+        isVerified: user.isVerified,
+        isProtected: user.isProtected,
+        twoFactorEnabled: user.twoFactorEnabled,
+        createdAt: user.createdAt
+      },
+      tweets,
+      replies,
+      likes: likedTweets,
+      followers: followers
+        .filter(edge => edge.follower)
+        .map(edge => ({ ...edge.follower.toObject(), followedAt: edge.createdAt })),
+      following: following
+        .filter(edge => edge.following)
+        .map(edge => ({ ...edge.following.toObject(), followedAt: edge.createdAt })),
+      notifications,
+      lists
+    };
+    
+    const fileName = `chirp-export-${user.username}-${new Date().toISOString().slice(0, 10)}.json`;
+    
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.type('application/json');
+    res.send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete account (after a grace period)
+// @route   DELETE /api/users/me
+// @access  Private
+const deleteAccount = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+    
+    // Confirm the request with the password (and 2FA if enabled)
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+    
+    if (user.twoFactorEnabled && !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    
+    const deletionScheduledAt = await scheduleAccountDeletion(user);
+    
+    res.json({
+      message: 'Your account is scheduled for deletion. Log in again before the deletion date to restore it.',
+      deletionScheduledAt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getUserProfile,
   getUserTweets,
@@ -322,5 +943,17 @@ module.exports = {
   unfollowUser,
   updateUserProfile,
   getSuggestedUsers,
-  searchUsers
+  dismissSuggestion,
+  searchUsers,
+  exportUserData,
+  deleteAccount,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest,
+  getFollowers,
+  getFollowing,
+  getFollowersYouKnow
 };
@@ -0,0 +1,86 @@
+
+const VerificationRequest = require('../models/VerificationRequest');
+
+// Days a user has to wait to apply again after a rejection
+const REAPPLY_COOLDOWN_DAYS = Number(process.env.VERIFICATION_REAPPLY_DAYS) || 30;
+
+// Format a verification request for its applicant
+const formatRequest = (request) => ({
+  _id: request._id,
+  category: request.category,
+  links: request.links,
+  note: request.note,
+  status: request.status,
+  decisionReason: request.decisionReason,
+  reviewedAt: request.reviewedAt,
+  createdAt: request.createdAt
+});
+
+// @desc    Submit a verification request
+// @route   POST /api/users/me/verification
+// @access  Private
+const submitVerificationRequest = async (req, res, next) => {
+  try {
+    const { category, links, note } = req.body;
+    
+    if (req.user.isVerified) {
+      return res.status(400).json({ message: 'Your account is already verified' });
+    }
+    
+    const latest = await VerificationRequest.findOne({ user: req.user._id })
+      .sort({ createdAt: -1 });
+    
+    if (latest && latest.status === 'pending') {
+      return res.status(400).json({ message: 'You already have a pending verification request' });
+    }
+    
+    // Rejected users have to wait before applying again
+    if (latest && latest.status === 'rejected') {
+      const reapplyAt = new Date(latest.reviewedAt.getTime() + REAPPLY_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+      
+      if (reapplyAt > Date.now()) {
+        return res.status(400).json({
+          message: 'You cannot apply for verification again yet',
+          reapplyAt
+        });
+      }
+    }
+    
+    if (!Array.isArray(links)) {
+      return res.status(400).json({ message: 'links must be an array of URLs' });
+    }
+    
+    const request = await VerificationRequest.create({
+      user: req.user._id,
+      category,
+      links,
+      note
+    });
+    
+    res.status(201).json(formatRequest(request));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's latest verification request
+// @route   GET /api/users/me/verification
+// @access  Private
+const getVerificationStatus = async (req, res, next) => {
+  try {
+    const request = await VerificationRequest.findOne({ user: req.user._id })
+      .sort({ createdAt: -1 });
+    
+    res.json({
+      isVerified: req.user.isVerified,
+      request: request ? formatRequest(request) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  submitVerificationRequest,
+  getVerificationStatus
+};
@@ -1,30 +1,112 @@
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { hashToken } = require('../utils/tokens');
+const { hasPermission } = require('../utils/permissions');
 
-// Middleware to authenticate JWT token
+// How often the last-used time of a session or API token is refreshed
+const ACTIVITY_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Prefix identifying personal access tokens
+const API_TOKEN_PREFIX = 'chirp_pat_';
+
+// Update a last-used timestamp without blocking the request
+const recordActivity = (Model, doc) => {
+  if (!doc.lastUsedAt || Date.now() - doc.lastUsedAt.getTime() > ACTIVITY_INTERVAL_MS) {
+    Model.updateOne({ _id: doc._id }, { lastUsedAt: new Date() })
+      .catch(err => console.error('Activity tracking error:', err.message));
+  }
+};
+
+// Resolve a session JWT to its user and auth context
+const resolveSessionToken = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  // Reject special-purpose tokens (e.g. refresh tokens, email verification links)
+  if (decoded.purpose || !decoded.sid) {
+    return { error: 'Not authorized, invalid token' };
+  }
+  
+  // Check that the session has not been revoked
+  const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+  
+  if (!session || !session.isActive()) {
+    return { error: 'Not authorized, session revoked' };
+  }
+  
+  recordActivity(Session, session);
+  
+  return {
+    userId: decoded.id,
+    auth: { type: 'session', sessionId: session._id, scopes: null }
+  };
+};
+
+// Resolve a personal access token to its user and auth context
+const resolveApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) });
+  
+  if (!apiToken || !apiToken.isActive()) {
+    return { error: 'Not authorized, invalid or revoked API token' };
+  }
+  
+  recordActivity(ApiToken, apiToken);
+  
+  return {
+    userId: apiToken.user,
+    auth: { type: 'token', tokenId: apiToken._id, scopes: apiToken.scopes }
+  };
+};
+
+// Resolve the user and auth context from the Authorization header
+const resolveRequestAuth = async (req) => {
+  // Get token from header
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(' ')[1];
+  
+  if (!token) {
+    return { error: 'Not authorized, no token' };
+  }
+  
+  const { userId, auth, error } = token.startsWith(API_TOKEN_PREFIX)
+    ? await resolveApiToken(token)
+    : await resolveSessionToken(token);
+  
+  if (error) {
+    return { error };
+  }
+  
+  // Find user by id
+  const user = await User.findById(userId).select('-password');
+  
+  if (!user) {
+    return { error: 'Not authorized, user not found' };
+  }
+  
+  if (user.isSuspended()) {
+    return { error: 'Your account has been suspended', status: 403 };
+  }
+  
+  return { user, auth };
+};
+
+// Middleware to authenticate JWT token or personal access token
 const authenticateToken = async (req, res, next) => {
   try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
+    const { user, auth, error, status } = await resolveRequestAuth(req);
     
-    if (!token) {
-      return res.status(401).json({ message: 'Not authorized, no token' });
+    if (error) {
+      return res.status(status || 401).json({ message: error });
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user by id
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Not authorized, user not found' });
-    }
-    
-    // Set user in request object
+    // Set user and auth context in request object
     req.user = user;
+    req.auth = auth;
+    req.sessionId = auth.sessionId;
     next();
   } catch (error) {
     console.error('Auth error:', error.message);
@@ -32,22 +114,87 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Middleware to identify the viewer on public routes.
+// Requests without a valid token continue anonymously. Follow it with
+// requireScope so API tokens still need the route's read scope.
+const optionalAuth = async (req, res, next) => {
+  try {
+    const { user, auth, error } = await resolveRequestAuth(req);
+    
+    if (!error) {
+      req.user = user;
+      req.auth = auth;
+      req.sessionId = auth.sessionId;
+    }
+  } catch (error) {
+    // Invalid tokens are treated as anonymous requests
+  }
+  
+  next();
+};
+
+// Middleware to require a scope when authenticated with an API token.
+// Session logins have full account access.
+const requireScope = (scope) => (req, res, next) => {
+  if (req.auth && req.auth.type === 'token' && !req.auth.scopes.includes(scope)) {
+    return res.status(403).json({ message: `API token is missing the required scope: ${scope}` });
+  }
+  
+  next();
+};
+
+// Middleware to restrict a route to session logins (no API tokens)
+const requireSession = (req, res, next) => {
+  if (!req.auth || req.auth.type !== 'session') {
+    return res.status(403).json({ message: 'This action requires a logged-in session' });
+  }
+  
+  next();
+};
+
+// Middleware to require role permissions (all listed permissions are needed)
+const authorize = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+  
+  if (missing.length > 0) {
+    return res.status(403).json({ message: 'Not authorized to perform this action' });
+  }
+  
+  next();
+};
+
+// Middleware to require a verified email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  
+  next();
+};
+
 // Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: '30d'
   });
 };
 
 // Generate refresh token
-const generateRefreshToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '60d'
+const generateRefreshToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId, purpose: 'refresh' }, process.env.JWT_SECRET, {
+    expiresIn: '60d',
+    jwtid: crypto.randomBytes(16).toString('hex')
   });
 };
 
 module.exports = {
   authenticateToken,
+  optionalAuth,
+  requireScope,
+  requireSession,
+  authorize,
+  requireVerifiedEmail,
   generateToken,
-  generateRefreshToken
+  generateRefreshToken,
+  API_TOKEN_PREFIX
 };
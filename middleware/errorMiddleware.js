@@ -15,6 +15,11 @@ const errorHandler = (err, req, res, next) => {
     return res.status(400).json({ message: `${field} already exists` });
   }
   
+  // File upload error (e.g. too many or too large files)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({ message: err.message });
+  }
+  
   // JWT error
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({ message: 'Invalid token' });
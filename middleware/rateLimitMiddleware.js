@@ -0,0 +1,23 @@
+const rateLimit = require('express-rate-limit');
+
+// General rate limiting for all API requests
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Stricter rate limiting for credential endpoints (login, password reset, 2FA)
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 attempts per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Too many attempts, please try again later' }
+});
+
+module.exports = {
+  apiLimiter,
+  authLimiter
+};
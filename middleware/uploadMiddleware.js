@@ -1,8 +1,16 @@
 
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const {
+  MAX_MEDIA_ITEMS,
+  MAX_MEDIA_FILE_SIZE,
+  getMediaType,
+  removeTempFiles
+} = require('../utils/media');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -21,13 +29,12 @@ const profileStorage = new CloudinaryStorage({
   }
 });
 
-// Set up Cloudinary storage for tweet images
-const tweetStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'chirp-social/tweets',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif'],
-    transformation: [{ width: 1200, crop: 'limit' }]
+// Set up temporary disk storage for tweet media, which is checked and
+// uploaded to Cloudinary by the tweet controller
+const tweetMediaStorage = multer.diskStorage({
+  destination: os.tmpdir(),
+  filename: (req, file, cb) => {
+    cb(null, `chirp-${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
   }
 });
 
@@ -44,6 +51,17 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// File filter function for tweet media
+const mediaFileFilter = (req, file, cb) => {
+  if (getMediaType(file)) {
+    return cb(null, true);
+  }
+  
+  const error = new Error('Only JPEG, PNG, WebP and GIF images and MP4 and MOV videos are allowed');
+  error.statusCode = 400;
+  cb(error);
+};
+
 // Set up multer for profile images
 const uploadProfileImage = multer({
   storage: profileStorage,
@@ -58,15 +76,23 @@ const uploadCoverImage = multer({
   fileFilter: fileFilter
 }).single('coverImage');
 
-// Set up multer for tweet images
-const uploadTweetImage = multer({
-  storage: tweetStorage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
-  fileFilter: fileFilter
-}).single('image');
+// Set up multer for tweet media (per-type size limits are checked by the controller)
+const tweetMediaUpload = multer({
+  storage: tweetMediaStorage,
+  limits: { fileSize: MAX_MEDIA_FILE_SIZE, files: MAX_MEDIA_ITEMS },
+  fileFilter: mediaFileFilter
+}).array('media', MAX_MEDIA_ITEMS);
+
+// Accept tweet media and remove the temporary files once the response is sent
+const uploadTweetMedia = (req, res, next) => {
+  tweetMediaUpload(req, res, (err) => {
+    res.on('close', () => removeTempFiles(req.files));
+    next(err);
+  });
+};
 
 module.exports = {
   uploadProfileImage,
   uploadCoverImage,
-  uploadTweetImage
+  uploadTweetMedia
 };
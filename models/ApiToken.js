@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Scopes that can be granted to a personal access token
+const API_TOKEN_SCOPES = [
+  'tweets:read',
+  'tweets:write',
+  'users:read',
+  'users:write',
+  'notifications:read',
+  'notifications:write',
+  'lists:read',
+  'lists:write',
+  // Reserved for direct message routes, which do not exist yet
+  'dm:read',
+  'dm:write'
+];
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a token name'],
+    trim: true,
+    maxlength: [50, 'Token name cannot be more than 50 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_TOKEN_SCOPES,
+        message: '{VALUE} is not a valid scope'
+      }
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'Please provide at least one scope'
+    }
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's tokens
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Method to check if the token can still be used
+apiTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
+module.exports.API_TOKEN_SCOPES = API_TOKEN_SCOPES;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A user can only block another user once
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+// Index for finding who blocked a user
+blockSchema.index({ blocked: 1 });
+
+const Block = mongoose.model('Block', blockSchema);
+
+module.exports = Block;
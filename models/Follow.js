@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One edge per pair of users; also serves "who does X follow" queries
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+// Index for "who follows X" queries, newest first
+followSchema.index({ following: 1, _id: -1 });
+// Index for paginating "who does X follow", newest first
+followSchema.index({ follower: 1, _id: -1 });
+
+const Follow = mongoose.model('Follow', followSchema);
+
+module.exports = Follow;
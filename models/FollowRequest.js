@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const followRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A user can only have one pending request per account
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+// Index for listing incoming requests
+followRequestSchema.index({ target: 1, createdAt: -1 });
+
+const FollowRequest = mongoose.model('FollowRequest', followRequestSchema);
+
+module.exports = FollowRequest;
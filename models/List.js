@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Maximum number of members in a list
+const MAX_LIST_MEMBERS = 5000;
+
+const listSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a list name'],
+    trim: true,
+    maxlength: [25, 'List name cannot be more than 25 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Description cannot be more than 100 characters'],
+    default: ''
+  },
+  // Private lists are only visible to their owner
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  members: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: {
+      validator: members => members.length <= MAX_LIST_MEMBERS,
+      message: `A list cannot have more than ${MAX_LIST_MEMBERS} members`
+    }
+  },
+  subscribers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for listing lists by owner, member and subscriber
+listSchema.index({ owner: 1, createdAt: -1 });
+listSchema.index({ members: 1 });
+listSchema.index({ subscribers: 1 });
+
+// Check if a user can see the list
+listSchema.methods.isVisibleTo = function(userId) {
+  const ownerId = this.owner._id || this.owner;
+  
+  return !this.isPrivate || Boolean(userId && ownerId.toString() === userId.toString());
+};
+
+const List = mongoose.model('List', listSchema);
+
+module.exports = List;
+module.exports.MAX_LIST_MEMBERS = MAX_LIST_MEMBERS;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const muteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['account', 'keyword'],
+    required: true
+  },
+  // Muted account (kind: account)
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.kind === 'account';
+    }
+  },
+  // Muted word, phrase or #hashtag, stored lowercase (kind: keyword)
+  keyword: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Muted keyword cannot be more than 100 characters'],
+    required: function() {
+      return this.kind === 'keyword';
+    }
+  },
+  // Where the mute applies
+  scope: {
+    type: String,
+    enum: ['timeline', 'notifications', 'both'],
+    default: 'both'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One mute per account and per keyword
+muteSchema.index(
+  { user: 1, target: 1 },
+  { unique: true, partialFilterExpression: { kind: 'account' } }
+);
+muteSchema.index(
+  { user: 1, keyword: 1 },
+  { unique: true, partialFilterExpression: { kind: 'keyword' } }
+);
+
+// Remove mutes once they expire
+muteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Mute = mongoose.model('Mute', muteSchema);
+
+module.exports = Mute;
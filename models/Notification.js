@@ -1,6 +1,9 @@
 
 const mongoose = require('mongoose');
 
+// Notification types generated by the system rather than another user
+const SYSTEM_TYPES = ['security', 'verification', 'poll_ended'];
+
 const notificationSchema = new mongoose.Schema({
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
@@ -10,17 +13,26 @@ const notificationSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !SYSTEM_TYPES.includes(this.type);
+    }
   },
   type: {
     type: String,
-    enum: ['like', 'retweet', 'follow', 'reply', 'mention'],
+    enum: ['like', 'retweet', 'follow', 'follow_request', 'follow_accept', 'reply', 'mention', 'quote', 'list_add', 'security', 'verification', 'poll_ended'],
     required: true
   },
+  message: {
+    type: String
+  },
   tweet: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tweet'
   },
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List'
+  },
   read: {
     type: Boolean,
     default: false
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Set when an existing account is linking a new identity
+  linkUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Remove abandoned authorization attempts
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+module.exports = OAuthState;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const pollVoteSchema = new mongoose.Schema({
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Index of the chosen poll option
+  option: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A user can only vote once in a poll; also serves "voters of a poll" queries
+pollVoteSchema.index({ tweet: 1, user: 1 }, { unique: true });
+// Index for finding a user's votes
+pollVoteSchema.index({ user: 1 });
+
+const PollVote = mongoose.model('PollVote', pollVoteSchema);
+
+module.exports = PollVote;
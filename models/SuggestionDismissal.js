@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const suggestionDismissalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dismissed: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Dismissed accounts can be suggested again after this date
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One dismissal per suggested account
+suggestionDismissalSchema.index({ user: 1, dismissed: 1 }, { unique: true });
+
+// Remove dismissals once they expire
+suggestionDismissalSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SuggestionDismissal = mongoose.model('SuggestionDismissal', suggestionDismissalSchema);
+
+module.exports = SuggestionDismissal;
@@ -1,5 +1,97 @@
 
 const mongoose = require('mongoose');
+const { extractHashtags } = require('../utils/text');
+
+// Media attached to tweets
+const MEDIA_TYPES = ['image', 'gif', 'video'];
+const MEDIA_STATUSES = ['processing', 'ready', 'failed'];
+const MAX_MEDIA_ITEMS = 4;
+
+// Check a combination of media types: up to four images, or a single GIF
+// or video. Returns an error message, or null if the combination is allowed.
+const getMediaCombinationError = (types) => {
+  if (types.length > MAX_MEDIA_ITEMS) {
+    return `A tweet can have at most ${MAX_MEDIA_ITEMS} media items`;
+  }
+  
+  if (types.length > 1 && types.some(type => type !== 'image')) {
+    return 'A GIF or video must be the only media item in a tweet';
+  }
+  
+  return null;
+};
+
+const mediaSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: MEDIA_TYPES,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Cloudinary public id, used to delete the asset
+  publicId: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  // Length of videos in seconds
+  duration: Number,
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Alt text cannot be more than 1000 characters'],
+    default: ''
+  },
+  // Videos are transcoded after upload and are 'processing' until then
+  status: {
+    type: String,
+    enum: MEDIA_STATUSES,
+    default: 'ready'
+  }
+}, { _id: false });
+
+// Limits of polls attached to tweets
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 4;
+
+const pollSchema = new mongoose.Schema({
+  options: {
+    type: [{
+      _id: false,
+      text: {
+        type: String,
+        required: [true, 'Poll option text is required'],
+        trim: true,
+        maxlength: [25, 'Poll options cannot be more than 25 characters']
+      },
+      votes: {
+        type: Number,
+        default: 0
+      }
+    }],
+    validate: {
+      validator: options => options.length >= MIN_POLL_OPTIONS && options.length <= MAX_POLL_OPTIONS,
+      message: `A poll must have between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`
+    }
+  },
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Set once the author and voters were told the poll ended
+  endNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const tweetSchema = new mongoose.Schema({
   text: {
@@ -13,8 +105,12 @@ const tweetSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  imageUrl: {
-    type: String
+  media: {
+    type: [mediaSchema],
+    validate: {
+      validator: items => !getMediaCombinationError(items.map(item => item.type)),
+      message: props => getMediaCombinationError(props.value.map(item => item.type))
+    }
   },
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -44,12 +140,40 @@ const tweetSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tweet'
   },
+  // Root tweet of the conversation this tweet belongs to
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  // Tweet embedded in a quote tweet
+  quotedTweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  quoteCount: {
+    type: Number,
+    default: 0
+  },
   hashtags: [{
     type: String
   }],
+  poll: {
+    type: pollSchema,
+    default: undefined
+  },
   mentions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  // Time of the last edit, if the tweet was edited
+  editedAt: {
+    type: Date
+  },
+  // Previous versions of the text, oldest first
+  editHistory: [{
+    _id: false,
+    text: String,
+    createdAt: Date
   }]
 }, {
   timestamps: true,
@@ -72,19 +196,20 @@ tweetSchema.virtual('replyCount').get(function() {
   return this.replies.length;
 });
 
-// Pre-save middleware to extract hashtags and mentions
-tweetSchema.pre('save', function(next) {
-  // Extract hashtags
-  const hashtagRegex = /#(\w+)/g;
-  const hashtags = [];
-  let match;
+// Check a combination of media types before uploading it
+tweetSchema.statics.getMediaCombinationError = getMediaCombinationError;
+
+// Pre-validate middleware to extract hashtags and set the conversation
+// (runs on every save and for each tweet passed to insertMany)
+tweetSchema.pre('validate', function(next) {
+  // Extract hashtags (again after every edit)
+  this.hashtags = extractHashtags(this.text);
   
-  while ((match = hashtagRegex.exec(this.text)) !== null) {
-    hashtags.push(match[1].toLowerCase());
+  // Tweets start their own conversation unless they reply to another
+  if (!this.conversationId) {
+    this.conversationId = this.isReply && this.parentTweet ? this.parentTweet : this._id;
   }
   
-  this.hashtags = [...new Set(hashtags)]; // Remove duplicates
-  
   next();
 });
 
@@ -92,7 +217,19 @@ tweetSchema.pre('save', function(next) {
 tweetSchema.index({ text: 'text', hashtags: 1 });
 tweetSchema.index({ author: 1, createdAt: -1 });
 tweetSchema.index({ createdAt: -1 });
+tweetSchema.index({ quotedTweet: 1, createdAt: -1 });
+tweetSchema.index({ parentTweet: 1, createdAt: 1 });
+// Index for finding videos that are still processing
+tweetSchema.index({ 'media.status': 1 }, { partialFilterExpression: { 'media.status': 'processing' } });
+// Index for finding polls that ended
+tweetSchema.index(
+  { 'poll.endNotifiedAt': 1, 'poll.endsAt': 1 },
+  { partialFilterExpression: { 'poll.endsAt': { $exists: true } } }
+);
 
 const Tweet = mongoose.model('Tweet', tweetSchema);
 
 module.exports = Tweet;
+module.exports.MAX_MEDIA_ITEMS = MAX_MEDIA_ITEMS;
+module.exports.MIN_POLL_OPTIONS = MIN_POLL_OPTIONS;
+module.exports.MAX_POLL_OPTIONS = MAX_POLL_OPTIONS;
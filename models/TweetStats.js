@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Daily analytics bucket of a tweet
+const tweetStatsSchema = new mongoose.Schema({
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the UTC day
+  day: {
+    type: Date,
+    required: true
+  },
+  impressions: {
+    type: Number,
+    default: 0
+  },
+  likes: {
+    type: Number,
+    default: 0
+  },
+  retweets: {
+    type: Number,
+    default: 0
+  },
+  replies: {
+    type: Number,
+    default: 0
+  },
+  quotes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One bucket per tweet and day
+tweetStatsSchema.index({ tweet: 1, day: 1 }, { unique: true });
+// Index for removing an author's stats
+tweetStatsSchema.index({ author: 1 });
+
+const TweetStats = mongoose.model('TweetStats', tweetStatsSchema);
+
+module.exports = TweetStats;
@@ -2,6 +2,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { ROLES } = require('../utils/permissions');
+
+// Lifetime of a password reset token
+const PASSWORD_RESET_EXPIRY_MS = 60 * 60 * 1000; // 1 hour
+
+// Failed login attempts before the account is locked
+const MAX_LOGIN_ATTEMPTS = 5;
+// First lockout duration, doubled for every further failure
+const BASE_LOCK_DURATION_MS = 60 * 1000; // 1 minute
+const MAX_LOCK_DURATION_MS = 60 * 60 * 1000; // 1 hour
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,6 +35,15 @@ const userSchema = new mongoose.Schema({
       message: 'Username can only contain letters, numbers, and underscores'
     }
   },
+  usernameChangedAt: {
+    type: Date
+  },
+  // Previous usernames, oldest first
+  usernameHistory: [{
+    _id: false,
+    username: String,
+    changedAt: Date
+  }],
   email: {
     type: String,
     required: [true, 'Please provide an email'],
@@ -65,21 +85,115 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  followers: [{
+  // Denormalized counters of the Follow collection
+  followerCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  isProtected: {
+    type: Boolean,
+    default: false
+  },
+  pinnedTweet: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  following: [{
+    ref: 'Tweet',
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspendedUntil: {
+    type: Date
+  },
+  suspensionReason: {
+    type: String,
+    maxlength: [500, 'Suspension reason cannot be more than 500 characters']
+  },
+  suspendedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
-  isVerified: {
+  deletionScheduledAt: {
+    type: Date,
+    default: null
+  },
+  emailVerified: {
     type: Boolean,
     default: false
   },
-  refreshToken: {
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
     type: String,
     select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true,
@@ -87,15 +201,11 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for follower count
-userSchema.virtual('followerCount').get(function() {
-  return this.followers.length;
-});
-
-// Virtual for following count
-userSchema.virtual('followingCount').get(function() {
-  return this.following.length;
-});
+// Each external identity can only be linked to one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -111,6 +221,67 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Method to create a single-use password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = generateRandomToken();
+  
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRY_MS);
+  
+  return resetToken;
+};
+
+// Method to check if the account is currently suspended
+userSchema.methods.isSuspended = function() {
+  return Boolean(this.suspendedAt && (!this.suspendedUntil || this.suspendedUntil > Date.now()));
+};
+
+// Query condition matching accounts that are not currently suspended
+// (never suspended, or the suspension has expired), as isSuspended checks
+userSchema.statics.notSuspendedFilter = function() {
+  return {
+    $or: [{ suspendedAt: null }, { suspendedUntil: { $lte: new Date() } }]
+  };
+};
+
+// Method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed login attempt atomically and lock the account with
+// exponential backoff once the limit is reached.
+// Returns the lock expiry if this attempt locked the account.
+userSchema.statics.registerFailedLogin = async function(userId) {
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('+failedLoginAttempts');
+  
+  if (!user || user.failedLoginAttempts < MAX_LOGIN_ATTEMPTS) {
+    return null;
+  }
+  
+  const lockDuration = Math.min(
+    BASE_LOCK_DURATION_MS * 2 ** (user.failedLoginAttempts - MAX_LOGIN_ATTEMPTS),
+    MAX_LOCK_DURATION_MS
+  );
+  const lockUntil = new Date(Date.now() + lockDuration);
+  
+  await this.updateOne({ _id: userId }, { lockUntil });
+  
+  return lockUntil;
+};
+
+// Reset failed login tracking after a successful login
+userSchema.statics.resetFailedLogins = async function(userId) {
+  await this.updateOne(
+    { _id: userId },
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
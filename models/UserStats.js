@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Daily analytics bucket of a user's profile and tweets
+const userStatsSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the UTC day
+  day: {
+    type: Date,
+    required: true
+  },
+  profileViews: {
+    type: Number,
+    default: 0
+  },
+  // Impressions and engagements across all of the user's tweets
+  impressions: {
+    type: Number,
+    default: 0
+  },
+  engagements: {
+    type: Number,
+    default: 0
+  },
+  followersGained: {
+    type: Number,
+    default: 0
+  },
+  followersLost: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One bucket per user and day
+userStatsSchema.index({ user: 1, day: 1 }, { unique: true });
+
+const UserStats = mongoose.model('UserStats', userStatsSchema);
+
+module.exports = UserStats;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const usernameReservationSchema = new mongoose.Schema({
+  // A handle given up by its previous owner
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  // The account that used the handle; lookups are redirected to it
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for removing a user's reservations
+usernameReservationSchema.index({ user: 1 });
+
+// Release handles once the reservation expires
+usernameReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UsernameReservation = mongoose.model('UsernameReservation', usernameReservationSchema);
+
+module.exports = UsernameReservation;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every change to a user's verified badge
+const verificationAuditSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['granted', 'revoked'],
+    required: true
+  },
+  // Staff member who made the change
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  // The request that led to the change, if any
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VerificationRequest'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for a user's badge history
+verificationAuditSchema.index({ user: 1, createdAt: -1 });
+
+const VerificationAudit = mongoose.model('VerificationAudit', verificationAuditSchema);
+
+module.exports = VerificationAudit;
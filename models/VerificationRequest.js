@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// Categories an account can be verified under
+const VERIFICATION_CATEGORIES = [
+  'government',
+  'company',
+  'brand',
+  'news',
+  'entertainment',
+  'sports',
+  'activist',
+  'content_creator',
+  'other'
+];
+
+// Maximum number of supporting links per request
+const MAX_LINKS = 5;
+
+const verificationRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: {
+      values: VERIFICATION_CATEGORIES,
+      message: 'Invalid verification category'
+    },
+    required: [true, 'Please provide a category']
+  },
+  links: {
+    type: [{
+      type: String,
+      trim: true,
+      validate: [
+        link => validator.isURL(link, { protocols: ['http', 'https'], require_protocol: true }),
+        'Supporting links must be valid http(s) URLs'
+      ]
+    }],
+    validate: {
+      validator: links => links.length > 0 && links.length <= MAX_LINKS,
+      message: `Please provide between 1 and ${MAX_LINKS} supporting links`
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  decisionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Only one pending request per user
+verificationRequestSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+// Index for the review queue
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+
+const VerificationRequest = mongoose.model('VerificationRequest', verificationRequestSchema);
+
+module.exports = VerificationRequest;
+module.exports.VERIFICATION_CATEGORIES = VERIFICATION_CATEGORIES;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const {
+  deleteAnyTweet,
+  setUserVerified,
+  getVerificationRequests,
+  approveVerificationRequest,
+  rejectVerificationRequest,
+  revokeVerification,
+  getVerificationAudit,
+  suspendUser,
+  unsuspendUser,
+  setUserRole
+} = require('../controllers/adminController');
+const {
+  authenticateToken,
+  requireSession,
+  authorize
+} = require('../middleware/authMiddleware');
+
+// All admin routes require a logged-in staff session
+router.use(authenticateToken, requireSession);
+
+// Delete any tweet
+router.delete('/tweets/:id', authorize('moderate:tweets'), deleteAnyTweet);
+
+// Set verified badge
+router.put('/users/:id/verified', authorize('verify:users'), setUserVerified);
+
+// Get the verification request queue
+router.get('/verification-requests', authorize('verify:users'), getVerificationRequests);
+
+// Approve a verification request
+router.post('/verification-requests/:id/approve', authorize('verify:users'), approveVerificationRequest);
+
+// Reject a verification request
+router.post('/verification-requests/:id/reject', authorize('verify:users'), rejectVerificationRequest);
+
+// Revoke a verified badge
+router.post('/users/:id/verification/revoke', authorize('verify:users'), revokeVerification);
+
+// Get the verified badge history of a user
+router.get('/users/:id/verification/audit', authorize('verify:users'), getVerificationAudit);
+
+// Suspend a user
+router.post('/users/:id/suspend', authorize('suspend:users'), suspendUser);
+
+// Lift a suspension
+router.post('/users/:id/unsuspend', authorize('suspend:users'), unsuspendUser);
+
+// Change a user's role
+router.put('/users/:id/role', authorize('manage:roles'), setUserRole);
+
+module.exports = router;
@@ -6,23 +6,114 @@ const {
   loginUser,
   getCurrentUser,
   refreshUserToken,
-  logoutUser
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword
 } = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} = require('../controllers/twoFactorController');
+const {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken
+} = require('../controllers/apiTokenController');
+const {
+  getOAuthProviders,
+  authorizeOAuth,
+  linkOAuth,
+  oauthCallback,
+  unlinkOAuth
+} = require('../controllers/oauthController');
+const {
+  authenticateToken,
+  requireScope,
+  requireSession
+} = require('../middleware/authMiddleware');
+const { authLimiter } = require('../middleware/rateLimitMiddleware');
 
 // Register a new user
-router.post('/register', registerUser);
+router.post('/register', authLimiter, registerUser);
 
 // Login user
-router.post('/login', loginUser);
+router.post('/login', authLimiter, loginUser);
 
 // Get current user
-router.get('/me', authenticateToken, getCurrentUser);
+router.get('/me', authenticateToken, requireScope('users:read'), getCurrentUser);
 
 // Refresh token
 router.post('/refresh-token', refreshUserToken);
 
 // Logout user
-router.post('/logout', authenticateToken, logoutUser);
+router.post('/logout', authenticateToken, requireSession, logoutUser);
+
+// Logout from all devices
+router.post('/logout-all', authenticateToken, requireSession, logoutAllSessions);
+
+// Get active sessions
+router.get('/sessions', authenticateToken, requireSession, getSessions);
+
+// Revoke a session
+router.delete('/sessions/:id', authenticateToken, requireSession, deleteSession);
+
+// Verify email address
+router.post('/verify-email', authLimiter, verifyEmail);
+
+// Resend verification email
+router.post('/resend-verification', authenticateToken, requireSession, resendVerificationEmail);
+
+// Request password reset
+router.post('/forgot-password', authLimiter, forgotPassword);
+
+// Reset password
+router.post('/reset-password', authLimiter, resetPassword);
+
+// Start two-factor enrollment
+router.post('/2fa/setup', authenticateToken, requireSession, setupTwoFactor);
+
+// Confirm two-factor enrollment
+router.post('/2fa/confirm', authenticateToken, requireSession, confirmTwoFactor);
+
+// Disable two-factor authentication
+router.post('/2fa/disable', authenticateToken, requireSession, disableTwoFactor);
+
+// Regenerate recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, requireSession, regenerateRecoveryCodes);
+
+// Complete login with a second factor
+router.post('/2fa/verify', authLimiter, verifyTwoFactorLogin);
+
+// Get personal access tokens
+router.get('/tokens', authenticateToken, requireSession, getApiTokens);
+
+// Create a personal access token
+router.post('/tokens', authenticateToken, requireSession, createApiToken);
+
+// Revoke a personal access token
+router.delete('/tokens/:id', authenticateToken, requireSession, revokeApiToken);
+
+// Get enabled OAuth providers
+router.get('/oauth/providers', getOAuthProviders);
+
+// Start OAuth login
+router.get('/oauth/:provider/authorize', authLimiter, authorizeOAuth);
+
+// Complete OAuth login or linking
+router.post('/oauth/:provider/callback', authLimiter, oauthCallback);
+
+// Start linking an OAuth identity
+router.post('/oauth/:provider/link', authenticateToken, requireSession, linkOAuth);
+
+// Unlink an OAuth identity
+router.delete('/oauth/:provider', authenticateToken, requireSession, unlinkOAuth);
 
 module.exports = router;
@@ -0,0 +1,60 @@
+
+const express = require('express');
+const router = express.Router();
+const {
+  createList,
+  getMyLists,
+  getListMemberships,
+  getListById,
+  updateList,
+  deleteList,
+  getListMembers,
+  addListMember,
+  removeListMember,
+  subscribeToList,
+  unsubscribeFromList,
+  getListTimeline
+} = require('../controllers/listController');
+const {
+  authenticateToken,
+  optionalAuth,
+  requireScope
+} = require('../middleware/authMiddleware');
+
+// Create a list
+router.post('/', authenticateToken, requireScope('lists:write'), createList);
+
+// Get own and subscribed lists
+router.get('/', authenticateToken, requireScope('lists:read'), getMyLists);
+
+// Get lists the current user is a member of
+router.get('/memberships', authenticateToken, requireScope('lists:read'), getListMemberships);
+
+// Get a list
+router.get('/:id', optionalAuth, requireScope('lists:read'), getListById);
+
+// Update a list
+router.put('/:id', authenticateToken, requireScope('lists:write'), updateList);
+
+// Delete a list
+router.delete('/:id', authenticateToken, requireScope('lists:write'), deleteList);
+
+// Get list members
+router.get('/:id/members', optionalAuth, requireScope('lists:read'), getListMembers);
+
+// Add a member to a list
+router.post('/:id/members', authenticateToken, requireScope('lists:write'), addListMember);
+
+// Remove a member from a list
+router.delete('/:id/members/:userId', authenticateToken, requireScope('lists:write'), removeListMember);
+
+// Subscribe to a list
+router.post('/:id/subscribe', authenticateToken, requireScope('lists:write'), subscribeToList);
+
+// Unsubscribe from a list
+router.post('/:id/unsubscribe', authenticateToken, requireScope('lists:write'), unsubscribeFromList);
+
+// Get list timeline
+router.get('/:id/timeline', optionalAuth, requireScope('lists:read'), getListTimeline);
+
+module.exports = router;
@@ -7,18 +7,18 @@ const {
   markAllAsRead,
   getUnreadCount
 } = require('../controllers/notificationController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, requireScope } = require('../middleware/authMiddleware');
 
 // Get user notifications
-router.get('/', authenticateToken, getNotifications);
+router.get('/', authenticateToken, requireScope('notifications:read'), getNotifications);
 
 // Mark notification as read
-router.put('/:id/read', authenticateToken, markAsRead);
+router.put('/:id/read', authenticateToken, requireScope('notifications:write'), markAsRead);
 
 // Mark all notifications as read
-router.put('/read-all', authenticateToken, markAllAsRead);
+router.put('/read-all', authenticateToken, requireScope('notifications:write'), markAllAsRead);
 
 // Get unread notification count
-router.get('/unread-count', authenticateToken, getUnreadCount);
+router.get('/unread-count', authenticateToken, requireScope('notifications:read'), getUnreadCount);
 
 module.exports = router;
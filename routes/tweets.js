@@ -3,47 +3,92 @@ const express = require('express');
 const router = express.Router();
 const {
   createTweet,
+  createThread,
   getTimeline,
   getTrendingTweets,
   getTweetById,
   likeTweet,
   retweetTweet,
+  quoteTweet,
+  getTweetQuotes,
+  voteInPoll,
   replyToTweet,
   getTweetReplies,
+  getTweetConversation,
   deleteTweet,
+  editTweet,
+  getTweetHistory,
+  pinTweet,
+  unpinTweet,
   searchTweets
 } = require('../controllers/tweetController');
-const { authenticateToken } = require('../middleware/authMiddleware');
-const { uploadTweetImage } = require('../middleware/uploadMiddleware');
+const {
+  authenticateToken,
+  optionalAuth,
+  requireScope,
+  requireVerifiedEmail
+} = require('../middleware/authMiddleware');
+const { getTweetAnalytics } = require('../controllers/analyticsController');
+const { uploadTweetMedia } = require('../middleware/uploadMiddleware');
 
 // Create a new tweet
-router.post('/', authenticateToken, uploadTweetImage, createTweet);
+router.post('/', authenticateToken, requireScope('tweets:write'), requireVerifiedEmail, uploadTweetMedia, createTweet);
+
+// Publish a thread
+router.post('/thread', authenticateToken, requireScope('tweets:write'), requireVerifiedEmail, createThread);
 
 // Get home timeline
-router.get('/timeline', authenticateToken, getTimeline);
+router.get('/timeline', authenticateToken, requireScope('tweets:read'), getTimeline);
 
 // Get trending tweets
-router.get('/trending', getTrendingTweets);
+router.get('/trending', optionalAuth, requireScope('tweets:read'), getTrendingTweets);
+
+// Search tweets (before /:id so "search" is not treated as an id)
+router.get('/search', optionalAuth, requireScope('tweets:read'), searchTweets);
 
 // Get tweet by ID
-router.get('/:id', getTweetById);
+router.get('/:id', optionalAuth, requireScope('tweets:read'), getTweetById);
 
 // Like a tweet
-router.post('/:id/like', authenticateToken, likeTweet);
+router.post('/:id/like', authenticateToken, requireScope('tweets:write'), likeTweet);
 
 // Retweet a tweet
-router.post('/:id/retweet', authenticateToken, retweetTweet);
+router.post('/:id/retweet', authenticateToken, requireScope('tweets:write'), retweetTweet);
+
+// Quote a tweet
+router.post('/:id/quote', authenticateToken, requireScope('tweets:write'), requireVerifiedEmail, uploadTweetMedia, quoteTweet);
+
+// Get quote tweets of a tweet
+router.get('/:id/quotes', optionalAuth, requireScope('tweets:read'), getTweetQuotes);
+
+// Vote in a tweet's poll
+router.post('/:id/poll/vote', authenticateToken, requireScope('tweets:write'), voteInPoll);
 
 // Reply to a tweet
-router.post('/:id/reply', authenticateToken, replyToTweet);
+router.post('/:id/reply', authenticateToken, requireScope('tweets:write'), requireVerifiedEmail, replyToTweet);
 
 // Get tweet replies
-router.get('/:id/replies', getTweetReplies);
+router.get('/:id/replies', optionalAuth, requireScope('tweets:read'), getTweetReplies);
 
-// Delete a tweet
-router.delete('/:id', authenticateToken, deleteTweet);
+// Get the conversation around a tweet
+router.get('/:id/conversation', optionalAuth, requireScope('tweets:read'), getTweetConversation);
 
-// Search tweets
-router.get('/search', searchTweets);
+// Edit a tweet
+router.put('/:id', authenticateToken, requireScope('tweets:write'), editTweet);
+
+// Get the edit history of a tweet
+router.get('/:id/history', optionalAuth, requireScope('tweets:read'), getTweetHistory);
+
+// Get tweet analytics
+router.get('/:id/analytics', authenticateToken, requireScope('tweets:read'), getTweetAnalytics);
+
+// Pin a tweet to the current user's profile
+router.post('/:id/pin', authenticateToken, requireScope('tweets:write'), pinTweet);
+
+// Unpin a tweet from the current user's profile
+router.post('/:id/unpin', authenticateToken, requireScope('tweets:write'), unpinTweet);
+
+// Delete a tweet
+router.delete('/:id', authenticateToken, requireScope('tweets:write'), deleteTweet);
 
 module.exports = router;
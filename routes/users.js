@@ -8,30 +8,119 @@ const {
   unfollowUser,
   updateUserProfile,
   getSuggestedUsers,
-  searchUsers
+  dismissSuggestion,
+  searchUsers,
+  exportUserData,
+  deleteAccount,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest,
+  getFollowers,
+  getFollowing,
+  getFollowersYouKnow
 } = require('../controllers/userController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  submitVerificationRequest,
+  getVerificationStatus
+} = require('../controllers/verificationController');
+const { getMyAnalytics } = require('../controllers/analyticsController');
+const {
+  getMutes,
+  muteUser,
+  unmuteUser,
+  muteKeyword,
+  unmuteKeyword
+} = require('../controllers/muteController');
+const {
+  authenticateToken,
+  optionalAuth,
+  requireScope,
+  requireSession
+} = require('../middleware/authMiddleware');
 const { uploadProfileImage, uploadCoverImage } = require('../middleware/uploadMiddleware');
 
+// Export personal data
+router.get('/me/export', authenticateToken, requireSession, exportUserData);
+
+// Delete account
+router.delete('/me', authenticateToken, requireSession, deleteAccount);
+
+// Get profile and tweet analytics
+router.get('/me/analytics', authenticateToken, requireScope('users:read'), getMyAnalytics);
+
+// Get verification request status
+router.get('/me/verification', authenticateToken, requireScope('users:read'), getVerificationStatus);
+
+// Submit a verification request
+router.post('/me/verification', authenticateToken, requireSession, submitVerificationRequest);
+
+// Update user profile
+router.put('/profile', authenticateToken, requireScope('users:write'), updateUserProfile);
+
+// Get suggested users to follow
+router.get('/suggestions', authenticateToken, requireScope('users:read'), getSuggestedUsers);
+
+// Dismiss a suggested user
+router.post('/suggestions/:id/dismiss', authenticateToken, requireScope('users:write'), dismissSuggestion);
+
+// Search users
+router.get('/search', optionalAuth, requireScope('users:read'), searchUsers);
+
+// Get blocked users
+router.get('/blocks', authenticateToken, requireScope('users:read'), getBlockedUsers);
+
+// Get pending follow requests
+router.get('/follow-requests', authenticateToken, requireScope('users:read'), getFollowRequests);
+
+// Approve a follow request
+router.post('/follow-requests/:id/approve', authenticateToken, requireScope('users:write'), approveFollowRequest);
+
+// Reject a follow request
+router.post('/follow-requests/:id/reject', authenticateToken, requireScope('users:write'), rejectFollowRequest);
+
+// Get muted accounts and keywords
+router.get('/mutes', authenticateToken, requireScope('users:read'), getMutes);
+
+// Mute a word, phrase or hashtag
+router.post('/mutes/keywords', authenticateToken, requireScope('users:write'), muteKeyword);
+
+// Remove a muted keyword
+router.delete('/mutes/keywords/:id', authenticateToken, requireScope('users:write'), unmuteKeyword);
+
 // Get user profile by username
-router.get('/:username', getUserProfile);
+router.get('/:username', optionalAuth, requireScope('users:read'), getUserProfile);
 
 // Get user tweets by username
-router.get('/:username/tweets', getUserTweets);
+router.get('/:username/tweets', optionalAuth, requireScope('users:read'), getUserTweets);
+
+// Get followers of a user
+router.get('/:username/followers', optionalAuth, requireScope('users:read'), getFollowers);
+
+// Get followers of a user that the current user follows
+router.get('/:username/followers/you-know', authenticateToken, requireScope('users:read'), getFollowersYouKnow);
+
+// Get users followed by a user
+router.get('/:username/following', optionalAuth, requireScope('users:read'), getFollowing);
 
 // Follow a user
-router.post('/:id/follow', authenticateToken, followUser);
+router.post('/:id/follow', authenticateToken, requireScope('users:write'), followUser);
 
 // Unfollow a user
-router.post('/:id/unfollow', authenticateToken, unfollowUser);
+router.post('/:id/unfollow', authenticateToken, requireScope('users:write'), unfollowUser);
 
-// Update user profile
-router.put('/profile', authenticateToken, updateUserProfile);
+// Block a user
+router.post('/:id/block', authenticateToken, requireScope('users:write'), blockUser);
 
-// Get suggested users to follow
-router.get('/suggestions', authenticateToken, getSuggestedUsers);
+// Unblock a user
+router.post('/:id/unblock', authenticateToken, requireScope('users:write'), unblockUser);
 
-// Search users
-router.get('/search', searchUsers);
+// Mute a user
+router.post('/:id/mute', authenticateToken, requireScope('users:write'), muteUser);
+
+// Unmute a user
+router.post('/:id/unmute', authenticateToken, requireScope('users:write'), unmuteUser);
 
 module.exports = router;
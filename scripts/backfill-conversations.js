@@ -0,0 +1,70 @@
+// Usage: node scripts/backfill-conversations.js
+// Sets conversationId on tweets created before conversations were stored:
+// top-level tweets start their own conversation and replies join the
+// conversation of the tweet they reply to. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+
+// Number of tweets written per bulk operation
+const BATCH_SIZE = 1000;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Tweet.syncIndexes();
+  
+  // Tweets that are not replies are the root of their own conversation
+  const roots = await Tweet.updateMany(
+    { conversationId: { $exists: false }, isReply: { $ne: true } },
+    [{ $set: { conversationId: '$_id' } }]
+  );
+  console.log(`Set conversations of ${roots.modifiedCount} top-level tweets`);
+  
+  // Fill in replies one level of the reply tree at a time, copying the
+  // conversation of the parent once the parent has one
+  let replyCount = 0;
+  let updated;
+  
+  do {
+    const replies = await Tweet.aggregate([
+      { $match: { conversationId: { $exists: false }, isReply: true } },
+      {
+        $lookup: {
+          from: Tweet.collection.name,
+          localField: 'parentTweet',
+          foreignField: '_id',
+          as: 'parent'
+        }
+      },
+      { $unwind: '$parent' },
+      { $match: { 'parent.conversationId': { $exists: true } } },
+      { $limit: BATCH_SIZE },
+      { $project: { conversationId: '$parent.conversationId' } }
+    ]);
+    
+    if (replies.length > 0) {
+      await Tweet.bulkWrite(replies.map(({ _id, conversationId }) => ({
+        updateOne: { filter: { _id }, update: { $set: { conversationId } } }
+      })));
+    }
+    
+    updated = replies.length;
+    replyCount += updated;
+  } while (updated > 0);
+  
+  console.log(`Set conversations of ${replyCount} replies`);
+  
+  // Replies whose parent was deleted start at the missing parent
+  const orphaned = await Tweet.updateMany(
+    { conversationId: { $exists: false }, isReply: true },
+    [{ $set: { conversationId: { $ifNull: ['$parentTweet', '$_id'] } } }]
+  );
+  console.log(`Set conversations of ${orphaned.modifiedCount} replies to deleted tweets`);
+  
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+// Usage: node scripts/backfill-mentions.js
+// Resolves the @mentions in the text of tweets created before mentions were
+// stored by user id, so they keep pointing at the same accounts after a
+// username change and edits do not notify them again. Safe to run more
+// than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const UsernameReservation = require('../models/UsernameReservation');
+const { extractMentions } = require('../utils/text');
+
+// Number of tweets written per bulk operation
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  // Resolved usernames, shared by all tweets
+  const userIds = new Map();
+  
+  // A reserved handle belonged to its previous owner when the legacy tweet
+  // was written, so the reservation wins over a new owner of the handle
+  const resolveUsername = async (username) => {
+    if (!userIds.has(username)) {
+      const reservation = await UsernameReservation.findOne({ username }).select('user');
+      const user = reservation
+        ? null
+        : await User.findOne({ username, deletionScheduledAt: null }).select('_id');
+      
+      userIds.set(username, reservation ? reservation.user : user && user._id);
+    }
+    
+    return userIds.get(username);
+  };
+  
+  const cursor = Tweet.find({
+    text: /@\w/,
+    $or: [{ mentions: { $exists: false } }, { mentions: { $size: 0 } }]
+  })
+    .select('_id text')
+    .lean()
+    .cursor();
+  
+  let batch = [];
+  let tweetCount = 0;
+  
+  const flush = async () => {
+    if (batch.length > 0) {
+      await Tweet.bulkWrite(batch, { ordered: false });
+      tweetCount += batch.length;
+      batch = [];
+    }
+  };
+  
+  for await (const tweet of cursor) {
+    const mentions = [];
+    
+    for (const username of extractMentions(tweet.text)) {
+      const userId = await resolveUsername(username);
+      
+      if (userId) {
+        mentions.push(userId);
+      }
+    }
+    
+    if (mentions.length === 0) {
+      continue;
+    }
+    
+    batch.push({ updateOne: { filter: { _id: tweet._id }, update: { $set: { mentions } } } });
+    
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  
+  await flush();
+  console.log(`Set mentions of ${tweetCount} tweets`);
+  
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// Usage: node scripts/migrate-email-verified.js
+// Marks accounts created before email verification was introduced as
+// verified, so they are not locked out of posting. Only users without an
+// emailVerified field are touched, so it is safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  // Read the raw collection so the schema default (false) does not apply
+  const result = await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    [{ $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+  );
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+  
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+// Usage: node scripts/migrate-follow-graph.js
+// Moves the embedded User.followers / User.following arrays into the Follow
+// collection, recomputes the follower counters and removes the arrays.
+// Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+// Number of edges written per bulk operation
+const BATCH_SIZE = 1000;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Follow.syncIndexes();
+  
+  // Read the legacy arrays straight from the collection (they are no longer in the schema)
+  const cursor = User.collection.find(
+    { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] },
+    { projection: { followers: 1, following: 1 } }
+  );
+  
+  let batch = [];
+  let edgeCount = 0;
+  
+  const flush = async () => {
+    if (batch.length > 0) {
+      await Follow.bulkWrite(batch, { ordered: false });
+      edgeCount += batch.length;
+      batch = [];
+    }
+  };
+  
+  // An edge exists if either side recorded it
+  const addEdge = async (follower, following) => {
+    if (follower.toString() === following.toString()) {
+      return;
+    }
+    
+    batch.push({
+      updateOne: {
+        filter: { follower, following },
+        update: { $setOnInsert: { follower, following } },
+        upsert: true
+      }
+    });
+    
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  };
+  
+  for await (const user of cursor) {
+    for (const followingId of user.following || []) {
+      await addEdge(user._id, followingId);
+    }
+    
+    for (const followerId of user.followers || []) {
+      await addEdge(followerId, user._id);
+    }
+  }
+  
+  await flush();
+  console.log(`Processed ${edgeCount} follow edges`);
+  
+  // Drop edges pointing at users that no longer exist
+  const userIds = await User.find().distinct('_id');
+  const orphaned = await Follow.deleteMany({
+    $or: [{ follower: { $nin: userIds } }, { following: { $nin: userIds } }]
+  });
+  console.log(`Removed ${orphaned.deletedCount} orphaned edges`);
+  
+  // Recompute the counters from the edges
+  await User.updateMany({}, { $set: { followerCount: 0, followingCount: 0 } });
+  
+  const counters = [
+    { groupBy: '$following', field: 'followerCount' },
+    { groupBy: '$follower', field: 'followingCount' }
+  ];
+  
+  for (const { groupBy, field } of counters) {
+    const counts = await Follow.aggregate([{ $group: { _id: groupBy, count: { $sum: 1 } } }]);
+    
+    for (let i = 0; i < counts.length; i += BATCH_SIZE) {
+      await User.bulkWrite(counts.slice(i, i + BATCH_SIZE).map(({ _id, count }) => ({
+        updateOne: { filter: { _id }, update: { $set: { [field]: count } } }
+      })));
+    }
+  }
+  
+  // Remove the legacy arrays
+  const result = await User.collection.updateMany(
+    { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] },
+    { $unset: { followers: '', following: '' } }
+  );
+  console.log(`Removed embedded follow arrays from ${result.modifiedCount} users`);
+  
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
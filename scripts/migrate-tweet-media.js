@@ -0,0 +1,82 @@
+// Usage: node scripts/migrate-tweet-media.js
+// Moves the legacy Tweet.imageUrl field into the media array, looking up
+// the dimensions of each image on Cloudinary, and removes the field.
+// Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const cloudinary = require('cloudinary').v2;
+const Tweet = require('../models/Tweet');
+const { MEDIA_FOLDER } = require('../utils/media');
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Number of tweets written per bulk operation
+const BATCH_SIZE = 500;
+
+// Build the media item of a legacy image URL
+const toMediaItem = async (imageUrl) => {
+  // Cloudinary URLs end with /upload/[v<version>/]<public id>.<format>
+  const match = imageUrl.match(/\/upload\/(?:v\d+\/)?(.+)\.[a-z0-9]+$/i);
+  const publicId = match ? match[1] : `${MEDIA_FOLDER}/${imageUrl.split('/').pop().split('.')[0]}`;
+  const resource = await cloudinary.api.resource(publicId).catch(() => null);
+  
+  return {
+    type: resource && resource.format === 'gif' ? 'gif' : 'image',
+    url: imageUrl,
+    publicId,
+    width: resource ? resource.width : undefined,
+    height: resource ? resource.height : undefined,
+    altText: '',
+    status: 'ready'
+  };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Tweet.syncIndexes();
+  
+  // Read the legacy field straight from the collection (it is no longer in the schema)
+  const cursor = Tweet.collection.find(
+    { imageUrl: { $exists: true } },
+    { projection: { imageUrl: 1 } }
+  );
+  
+  let batch = [];
+  let tweetCount = 0;
+  
+  const flush = async () => {
+    if (batch.length > 0) {
+      await Tweet.collection.bulkWrite(batch, { ordered: false });
+      tweetCount += batch.length;
+      batch = [];
+    }
+  };
+  
+  for await (const tweet of cursor) {
+    const update = { $unset: { imageUrl: '' } };
+    
+    if (tweet.imageUrl) {
+      update.$set = { media: [await toMediaItem(tweet.imageUrl)] };
+    }
+    
+    batch.push({ updateOne: { filter: { _id: tweet._id }, update } });
+    
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  
+  await flush();
+  console.log(`Migrated ${tweetCount} tweets`);
+  
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+// Minimal OpenID Connect provider for local development and tests.
+// Usage: node scripts/mock-oidc-provider.js
+//
+// Configure the API with:
+//   OAUTH_PROVIDERS=mock
+//   OAUTH_MOCK_ISSUER=http://localhost:4010
+//   OAUTH_MOCK_CLIENT_ID=chirp-dev
+//   OAUTH_MOCK_CLIENT_SECRET=chirp-dev-secret
+//
+// The /authorize endpoint approves immediately. The signed-in identity can be
+// chosen with the login_hint parameter (used as subject and email local part).
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_OIDC_PORT || 4010;
+const ISSUER = process.env.OAUTH_MOCK_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OAUTH_MOCK_CLIENT_ID || 'chirp-dev';
+const CLIENT_SECRET = process.env.OAUTH_MOCK_CLIENT_SECRET || 'chirp-dev-secret';
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// Issued authorization codes and access tokens (in memory)
+const codes = new Map();
+const accessTokens = new Map();
+
+// Build the claims for a login hint
+const getClaims = (loginHint = 'mockuser') => ({
+  sub: `mock-${loginHint}`,
+  email: `${loginHint}@example.com`,
+  email_verified: true,
+  name: `Mock ${loginHint}`,
+  preferred_username: loginHint
+});
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    response_types_supported: ['code'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, code_challenge, code_challenge_method, login_hint } = req.query;
+  
+  if (client_id !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+  
+  if (!redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('redirect_uri and an S256 code_challenge are required');
+  }
+  
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    claims: getClaims(login_hint)
+  });
+  
+  const redirectUrl = new URL(redirect_uri);
+  redirectUrl.searchParams.set('code', code);
+  if (state) redirectUrl.searchParams.set('state', state);
+  
+  res.redirect(redirectUrl.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+  const entry = codes.get(code);
+  
+  if (grant_type !== 'authorization_code' || !entry) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  
+  // Codes are single use
+  codes.delete(code);
+  
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  
+  if (redirect_uri !== entry.redirectUri || challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, entry.claims);
+  
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 3600
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').split(' ')[1];
+  const claims = accessTokens.get(token);
+  
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+});
@@ -0,0 +1,37 @@
+// Usage: node scripts/set-user-role.js <username> <role>
+// Bootstraps staff accounts (e.g. the first admin) from the command line.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../utils/permissions');
+
+const run = async () => {
+  const [username, role] = process.argv.slice(2);
+  
+  if (!username || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set-user-role.js <username> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const user = await User.findOneAndUpdate(
+    { username: username.toLowerCase() },
+    { role },
+    { new: true }
+  );
+  
+  if (!user) {
+    console.error(`User not found: ${username}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`@${user.username} is now ${user.role}`);
+  }
+  
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
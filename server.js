@@ -8,7 +8,6 @@ const morgan = require('morgan');
 const path = require('path');
 const http = require('http');
 const socketIo = require('socket.io');
-const rateLimit = require('express-rate-limit');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -16,10 +15,14 @@ const userRoutes = require('./routes/users');
 const tweetRoutes = require('./routes/tweets');
 const notificationRoutes = require('./routes/notifications');
 const trendingRoutes = require('./routes/trending');
+const adminRoutes = require('./routes/admin');
+const listRoutes = require('./routes/lists');
 
 // Import middlewares
 const { errorHandler } = require('./middleware/errorMiddleware');
 const { authenticateToken } = require('./middleware/authMiddleware');
+const { apiLimiter } = require('./middleware/rateLimitMiddleware');
+const { startJobs } = require('./utils/jobs');
 
 // Initialize express app
 const app = express();
@@ -32,9 +35,12 @@ const io = socketIo(server, {
   }
 });
 
-// Connect to MongoDB
+// Connect to MongoDB and start background jobs
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startJobs();
+  })
   .catch(err => console.error('Could not connect to MongoDB:', err));
 
 // Middleware
@@ -44,14 +50,6 @@ app.use(cors());
 app.use(helmet());
 app.use(morgan('dev'));
 
-// Rate limiting
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
 // Apply rate limiting to all requests
 app.use(apiLimiter);
 
@@ -64,6 +62,8 @@ app.use('/api/users', userRoutes);
 app.use('/api/tweets', tweetRoutes);
 app.use('/api/notifications', authenticateToken, notificationRoutes);
 app.use('/api/trending', trendingRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/lists', listRoutes);
 
 // Root route
 app.get('/', (req, res) => {
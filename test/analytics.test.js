@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startOfDay, buildDailySeries, DAY_MS } = require('../utils/analytics');
+
+test('startOfDay returns UTC midnight of a date', () => {
+  assert.equal(
+    startOfDay(new Date('2024-03-05T17:45:12Z')).toISOString(),
+    '2024-03-05T00:00:00.000Z'
+  );
+});
+
+test('buildDailySeries returns one point per day, oldest first', () => {
+  const series = buildDailySeries([], 3, ['impressions']);
+  const today = startOfDay();
+  
+  assert.deepEqual(series.map(point => point.date), [
+    new Date(today.getTime() - 2 * DAY_MS).toISOString().slice(0, 10),
+    new Date(today.getTime() - DAY_MS).toISOString().slice(0, 10),
+    today.toISOString().slice(0, 10)
+  ]);
+});
+
+test('buildDailySeries fills in bucket values and zeros for missing days', () => {
+  const today = startOfDay();
+  const buckets = [
+    { day: today, impressions: 10, likes: 2 },
+    { day: new Date(today.getTime() - 2 * DAY_MS), impressions: 4 }
+  ];
+  
+  const series = buildDailySeries(buckets, 3, ['impressions', 'likes']);
+  
+  assert.deepEqual(series.map(({ impressions, likes }) => ({ impressions, likes })), [
+    { impressions: 4, likes: 0 },
+    { impressions: 0, likes: 0 },
+    { impressions: 10, likes: 2 }
+  ]);
+});
+
+test('buildDailySeries ignores buckets outside the period', () => {
+  const oldBucket = { day: new Date(startOfDay().getTime() - 10 * DAY_MS), impressions: 99 };
+  
+  const series = buildDailySeries([oldBucket], 2, ['impressions']);
+  
+  assert.deepEqual(series.map(point => point.impressions), [0, 0]);
+});
@@ -0,0 +1,124 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const {
+  authenticateToken,
+  optionalAuth,
+  requireScope,
+  API_TOKEN_PREFIX
+} = require('../middleware/authMiddleware');
+const { hashToken } = require('../utils/tokens');
+
+// Minimal stand-in for an Express response
+const createResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run a middleware and report whether it called next()
+const run = async (middleware, req) => {
+  const res = createResponse();
+  let calledNext = false;
+  
+  await middleware(req, res, () => {
+    calledNext = true;
+  });
+  
+  return { res, calledNext };
+};
+
+const user = new User({ name: 'Bot owner', username: 'owner', email: 'owner@example.com' });
+const rawToken = `${API_TOKEN_PREFIX}abc123`;
+
+// Make token lookups resolve to an API token with the given fields
+const mockApiToken = (fields = {}) => {
+  const apiToken = new ApiToken({
+    user: user._id,
+    name: 'Bot',
+    tokenHash: hashToken(rawToken),
+    prefix: rawToken.slice(0, 14),
+    scopes: ['tweets:read'],
+    lastUsedAt: new Date(),
+    ...fields
+  });
+  
+  const findToken = mock.method(ApiToken, 'findOne', async () => apiToken);
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+  
+  return findToken;
+};
+
+const tokenRequest = () => ({ headers: { authorization: `Bearer ${rawToken}` } });
+
+afterEach(() => mock.restoreAll());
+
+test('authenticateToken accepts an active API token and sets its scopes', async () => {
+  const findToken = mockApiToken();
+  const req = tokenRequest();
+  
+  const { calledNext } = await run(authenticateToken, req);
+  
+  assert.equal(calledNext, true);
+  assert.deepEqual(findToken.mock.calls[0].arguments[0], { tokenHash: hashToken(rawToken) });
+  assert.equal(req.user, user);
+  assert.equal(req.auth.type, 'token');
+  assert.deepEqual([...req.auth.scopes], ['tweets:read']);
+});
+
+test('authenticateToken rejects revoked and expired API tokens', async () => {
+  mockApiToken({ revokedAt: new Date() });
+  const revoked = await run(authenticateToken, tokenRequest());
+  
+  mock.restoreAll();
+  mockApiToken({ expiresAt: new Date(Date.now() - 1000) });
+  const expired = await run(authenticateToken, tokenRequest());
+  
+  for (const { res, calledNext } of [revoked, expired]) {
+    assert.equal(calledNext, false);
+    assert.equal(res.statusCode, 401);
+  }
+});
+
+test('requireScope rejects API tokens without the scope', async () => {
+  const req = { auth: { type: 'token', scopes: ['tweets:read'] } };
+  
+  const { res, calledNext } = await run(requireScope('tweets:write'), req);
+  
+  assert.equal(calledNext, false);
+  assert.equal(res.statusCode, 403);
+  assert.match(res.body.message, /tweets:write/);
+});
+
+test('requireScope allows API tokens with the scope and session logins', async () => {
+  const tokenAuth = await run(requireScope('tweets:read'), { auth: { type: 'token', scopes: ['tweets:read'] } });
+  const sessionAuth = await run(requireScope('tweets:write'), { auth: { type: 'session', scopes: null } });
+  
+  assert.equal(tokenAuth.calledNext, true);
+  assert.equal(sessionAuth.calledNext, true);
+});
+
+test('public routes need the read scope from API tokens but not from anonymous viewers', async () => {
+  mockApiToken({ scopes: ['tweets:write'] });
+  const req = tokenRequest();
+  
+  await run(optionalAuth, req);
+  const withToken = await run(requireScope('tweets:read'), req);
+  
+  const anonymous = await run(requireScope('tweets:read'), { headers: {} });
+  
+  assert.equal(req.auth.type, 'token');
+  assert.equal(withToken.calledNext, false);
+  assert.equal(withToken.res.statusCode, 403);
+  assert.equal(anonymous.calledNext, true);
+});
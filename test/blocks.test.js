@@ -0,0 +1,152 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Block = require('../models/Block');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const List = require('../models/List');
+const UserStats = require('../models/UserStats');
+const { getUserProfile, getUserTweets, followUser, blockUser } = require('../controllers/userController');
+
+// Minimal stand-in for an Express response
+const createResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run a handler and fail the test if it passes an error to next()
+const run = async (handler, req) => {
+  const res = createResponse();
+  
+  await handler(req, res, (error) => {
+    throw error || new Error('Unexpected call to next()');
+  });
+  
+  return res;
+};
+
+const createUser = (username) => new User({
+  name: username,
+  username,
+  email: `${username}@example.com`
+});
+
+afterEach(() => mock.restoreAll());
+
+test('getUserTweets hides the tweets of a user in a block with the viewer', async () => {
+  const viewer = createUser('viewer');
+  const author = createUser('author');
+  
+  mock.method(User, 'findOne', async () => author);
+  const findBlock = mock.method(Block, 'exists', async () => ({ _id: author._id }));
+  const findTweets = mock.method(Tweet, 'find');
+  
+  const res = await run(getUserTweets, {
+    params: { username: 'author' },
+    query: {},
+    user: viewer
+  });
+  
+  assert.equal(res.statusCode, 403);
+  assert.equal(findTweets.mock.callCount(), 0);
+  
+  // Blocks apply in both directions
+  assert.deepEqual(findBlock.mock.calls[0].arguments[0], {
+    $or: [
+      { blocker: viewer._id, blocked: author._id },
+      { blocker: author._id, blocked: viewer._id }
+    ]
+  });
+});
+
+test('getUserProfile leaves out the pinned tweet of a user in a block with the viewer', async () => {
+  const viewer = createUser('viewer');
+  const author = createUser('author');
+  author.pinnedTweet = new Tweet({ author: author._id, text: 'Pinned' })._id;
+  
+  mock.method(User, 'findOne', () => ({ select: async () => author }));
+  mock.method(UserStats, 'updateOne', async () => ({}));
+  mock.method(Tweet, 'countDocuments', async () => 1);
+  mock.method(Follow, 'exists', async () => null);
+  mock.method(Block, 'exists', async () => ({ _id: author._id }));
+  const findPinned = mock.method(Tweet, 'findById');
+  
+  const res = await run(getUserProfile, {
+    params: { username: 'author' },
+    user: viewer
+  });
+  
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.pinnedTweet, null);
+  assert.equal(findPinned.mock.callCount(), 0);
+});
+
+test('followUser refuses to follow a user in a block with the follower', async () => {
+  const follower = createUser('follower');
+  const target = createUser('target');
+  
+  mock.method(User, 'findById', async () => target);
+  mock.method(Block, 'exists', async () => ({ _id: target._id }));
+  const addFollow = mock.method(Follow, 'updateOne', async () => ({ upsertedCount: 1 }));
+  
+  const res = await run(followUser, {
+    params: { id: target._id.toString() },
+    user: follower
+  });
+  
+  assert.equal(res.statusCode, 403);
+  assert.equal(addFollow.mock.callCount(), 0);
+});
+
+test('blockUser stores the block and removes follows, follow requests and list memberships in both directions', async () => {
+  const blocker = createUser('blocker');
+  const blocked = createUser('blocked');
+  
+  mock.method(User, 'findById', async () => blocked);
+  const storeBlock = mock.method(Block, 'updateOne', async () => ({}));
+  const unfollow = mock.method(Follow, 'findOneAndDelete', async () => null);
+  const removeRequests = mock.method(FollowRequest, 'deleteMany', async () => ({}));
+  const removeFromLists = mock.method(List, 'updateMany', async () => ({}));
+  
+  const res = await run(blockUser, {
+    params: { id: blocked._id.toString() },
+    user: blocker
+  });
+  
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(storeBlock.mock.calls[0].arguments[0], { blocker: blocker._id, blocked: blocked._id });
+  assert.equal(storeBlock.mock.calls[0].arguments[2].upsert, true);
+  assert.deepEqual(unfollow.mock.calls.map(call => call.arguments[0]), [
+    { follower: blocker._id, following: blocked._id },
+    { follower: blocked._id, following: blocker._id }
+  ]);
+  assert.equal(removeRequests.mock.callCount(), 1);
+  assert.deepEqual(
+    removeFromLists.mock.calls.map(call => call.arguments[0].owner),
+    [blocker._id, blocked._id]
+  );
+});
+
+test('blockUser does not let users block themselves', async () => {
+  const user = createUser('self');
+  
+  mock.method(User, 'findById', async () => user);
+  const storeBlock = mock.method(Block, 'updateOne', async () => ({}));
+  
+  const res = await run(blockUser, {
+    params: { id: user._id.toString() },
+    user
+  });
+  
+  assert.equal(res.statusCode, 400);
+  assert.equal(storeBlock.mock.callCount(), 0);
+});
@@ -0,0 +1,136 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { loginUser } = require('../controllers/authController');
+const { registerTransport } = require('../utils/mailer');
+
+// Capture lockout emails instead of printing them
+const sentMail = [];
+registerTransport('test', async (message) => {
+  sentMail.push(message);
+});
+process.env.MAIL_TRANSPORT = 'test';
+
+// Minimal stand-in for an Express response
+const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: undefined,
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const login = async (password) => {
+  const res = createResponse();
+  
+  await loginUser(
+    { body: { email: 'alice@example.com', password }, ip: '127.0.0.1', get: () => '' },
+    res,
+    (error) => {
+      throw error || new Error('Unexpected call to next()');
+    }
+  );
+  
+  return res;
+};
+
+// Make User.findOne(...).select(...) resolve to the given user
+const mockFindUser = (user) => {
+  mock.method(User, 'findOne', () => ({ select: async () => user }));
+};
+
+const createUser = (fields = {}) => new User({
+  name: 'Alice',
+  username: 'alice',
+  email: 'alice@example.com',
+  ...fields
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  sentMail.length = 0;
+});
+
+test('loginUser rejects locked accounts without checking the password', async () => {
+  const user = createUser({ lockUntil: new Date(Date.now() + 5 * 60 * 1000) });
+  const matchPassword = mock.method(user, 'matchPassword', async () => true);
+  mockFindUser(user);
+  
+  const res = await login('correct-password');
+  
+  assert.equal(res.statusCode, 423);
+  assert.equal(matchPassword.mock.callCount(), 0);
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+});
+
+test('loginUser counts a failed attempt below the limit', async () => {
+  const user = createUser();
+  mock.method(user, 'matchPassword', async () => false);
+  mockFindUser(user);
+  
+  const registerFailure = mock.method(User, 'findByIdAndUpdate', () => ({
+    select: async () => ({ failedLoginAttempts: 2 })
+  }));
+  const lock = mock.method(User, 'updateOne', async () => ({}));
+  
+  const res = await login('wrong-password');
+  
+  assert.equal(res.statusCode, 401);
+  assert.deepEqual(registerFailure.mock.calls[0].arguments[1], { $inc: { failedLoginAttempts: 1 } });
+  assert.equal(lock.mock.callCount(), 0);
+});
+
+test('loginUser locks the account and notifies the user on the last allowed attempt', async () => {
+  const user = createUser();
+  mock.method(user, 'matchPassword', async () => false);
+  mockFindUser(user);
+  
+  mock.method(User, 'findByIdAndUpdate', () => ({
+    select: async () => ({ failedLoginAttempts: 5 })
+  }));
+  const lock = mock.method(User, 'updateOne', async () => ({}));
+  const notify = mock.method(Notification, 'create', async () => ({}));
+  
+  const res = await login('wrong-password');
+  
+  assert.equal(res.statusCode, 423);
+  assert.equal(lock.mock.callCount(), 1);
+  assert.ok(lock.mock.calls[0].arguments[1].lockUntil > new Date());
+  assert.equal(notify.mock.calls[0].arguments[0].type, 'security');
+  assert.equal(sentMail.length, 1);
+  assert.equal(sentMail[0].to, 'alice@example.com');
+});
+
+test('loginUser locks for longer after every further failure', async () => {
+  const user = createUser();
+  mock.method(user, 'matchPassword', async () => false);
+  mockFindUser(user);
+  mock.method(Notification, 'create', async () => ({}));
+  
+  const lockDuration = async (attempts) => {
+    mock.method(User, 'findByIdAndUpdate', () => ({
+      select: async () => ({ failedLoginAttempts: attempts })
+    }));
+    const lock = mock.method(User, 'updateOne', async () => ({}));
+    
+    await login('wrong-password');
+    
+    return lock.mock.calls[0].arguments[1].lockUntil - Date.now();
+  };
+  
+  const first = await lockDuration(5);
+  const second = await lockDuration(6);
+  
+  assert.ok(second > first * 1.5);
+});
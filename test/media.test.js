@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Tweet = require('../models/Tweet');
+const { checkMediaUpload, getMediaType } = require('../utils/media');
+
+const MB = 1024 * 1024;
+
+const buildFile = (originalname, mimetype, size = MB) => ({ originalname, mimetype, size, path: `/tmp/${originalname}` });
+
+const image = (name = 'photo.jpg') => buildFile(name, 'image/jpeg');
+const gif = () => buildFile('funny.gif', 'image/gif');
+const video = () => buildFile('clip.mp4', 'video/mp4');
+
+test('getMediaType requires a matching mimetype and extension', () => {
+  assert.equal(getMediaType(image()), 'image');
+  assert.equal(getMediaType(gif()), 'gif');
+  assert.equal(getMediaType(video()), 'video');
+  assert.equal(getMediaType(buildFile('photo.gif', 'image/jpeg')), null);
+  assert.equal(getMediaType(buildFile('notes.txt', 'text/plain')), null);
+});
+
+test('checkMediaUpload accepts up to four images', () => {
+  const files = [image('1.jpg'), image('2.png'), image('3.webp'), image('4.jpeg')];
+  
+  assert.deepEqual(checkMediaUpload(files, undefined), { altTexts: [] });
+  assert.ok(checkMediaUpload([...files, image('5.jpg')], undefined).error);
+});
+
+test('checkMediaUpload only allows a GIF or video on its own', () => {
+  assert.deepEqual(checkMediaUpload([gif()], undefined), { altTexts: [] });
+  assert.deepEqual(checkMediaUpload([video()], undefined), { altTexts: [] });
+  assert.ok(checkMediaUpload([image(), gif()], undefined).error);
+  assert.ok(checkMediaUpload([video(), video()], undefined).error);
+});
+
+test('checkMediaUpload rejects unsupported and oversized files', () => {
+  assert.equal(checkMediaUpload([buildFile('doc.pdf', 'application/pdf')], undefined).error, 'Unsupported media type');
+  assert.equal(
+    checkMediaUpload([buildFile('big.jpg', 'image/jpeg', 6 * MB)], undefined).error,
+    'big.jpg is larger than 5MB'
+  );
+  assert.deepEqual(checkMediaUpload([buildFile('long.mp4', 'video/mp4', 50 * MB)], undefined), { altTexts: [] });
+});
+
+test('checkMediaUpload reads alt texts as arrays, JSON or a single string', () => {
+  assert.deepEqual(checkMediaUpload([image(), image()], ['A cat', 'A dog']), { altTexts: ['A cat', 'A dog'] });
+  assert.deepEqual(checkMediaUpload([image(), image()], '["A cat"]'), { altTexts: ['A cat'] });
+  assert.deepEqual(checkMediaUpload([image()], 'A cat'), { altTexts: ['A cat'] });
+});
+
+test('checkMediaUpload rejects invalid alt texts', () => {
+  assert.ok(checkMediaUpload([image()], ['one', 'two']).error);
+  assert.ok(checkMediaUpload([image()], [42]).error);
+  assert.ok(checkMediaUpload([image()], ['x'.repeat(1001)]).error);
+});
+
+test('getMediaCombinationError allows images or a single GIF or video', () => {
+  assert.equal(Tweet.getMediaCombinationError([]), null);
+  assert.equal(Tweet.getMediaCombinationError(['image', 'image', 'image', 'image']), null);
+  assert.equal(Tweet.getMediaCombinationError(['gif']), null);
+  assert.equal(Tweet.getMediaCombinationError(['video']), null);
+});
+
+test('getMediaCombinationError rejects too many items and mixed GIFs or videos', () => {
+  assert.equal(
+    Tweet.getMediaCombinationError(['image', 'image', 'image', 'image', 'image']),
+    'A tweet can have at most 4 media items'
+  );
+  assert.equal(
+    Tweet.getMediaCombinationError(['image', 'video']),
+    'A GIF or video must be the only media item in a tweet'
+  );
+  assert.equal(
+    Tweet.getMediaCombinationError(['gif', 'gif']),
+    'A GIF or video must be the only media item in a tweet'
+  );
+});
+
+test('tweet validation rejects disallowed media combinations', () => {
+  const item = (type) => ({ type, url: 'https://example.com/media', publicId: `tweets/${type}` });
+  const tweet = new Tweet({ text: 'Hello', media: [item('image'), item('gif')] });
+  
+  const error = tweet.validateSync();
+  
+  assert.equal(error.errors.media.message, 'A GIF or video must be the only media item in a tweet');
+});
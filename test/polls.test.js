@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { parsePoll, formatPoll } = require('../utils/polls');
+
+const MINUTE_MS = 60 * 1000;
+
+const buildPoll = (overrides = {}) => ({
+  options: [
+    { text: 'Yes', votes: 1 },
+    { text: 'No', votes: 3 }
+  ],
+  totalVotes: 4,
+  endsAt: new Date(Date.now() + 60 * MINUTE_MS),
+  ...overrides
+});
+
+test('parsePoll returns no poll without options', () => {
+  assert.deepEqual(parsePoll({}), { poll: null });
+  assert.deepEqual(parsePoll({ pollOptions: '' }), { poll: null });
+});
+
+test('parsePoll accepts arrays and JSON encoded arrays', () => {
+  const fromArray = parsePoll({ pollOptions: ['Yes', 'No'] });
+  const fromJson = parsePoll({ pollOptions: '["Yes","No","Maybe"]' });
+  
+  assert.deepEqual(fromArray.poll.options, [{ text: 'Yes' }, { text: 'No' }]);
+  assert.deepEqual(fromJson.poll.options, [{ text: 'Yes' }, { text: 'No' }, { text: 'Maybe' }]);
+});
+
+test('parsePoll defaults to a one day poll', () => {
+  const before = Date.now();
+  const { poll } = parsePoll({ pollOptions: ['Yes', 'No'] });
+  
+  assert.ok(poll.endsAt.getTime() >= before + 24 * 60 * MINUTE_MS);
+  assert.ok(poll.endsAt.getTime() <= Date.now() + 24 * 60 * MINUTE_MS);
+});
+
+test('parsePoll rejects invalid options', () => {
+  assert.ok(parsePoll({ pollOptions: 'not json' }).error);
+  assert.ok(parsePoll({ pollOptions: [1, 2] }).error);
+  assert.ok(parsePoll({ pollOptions: ['Yes', ' '] }).error);
+  assert.ok(parsePoll({ pollOptions: ['Only one'] }).error);
+  assert.ok(parsePoll({ pollOptions: ['a', 'b', 'c', 'd', 'e'] }).error);
+});
+
+test('parsePoll rejects durations outside 5 minutes to 7 days', () => {
+  const pollOptions = ['Yes', 'No'];
+  
+  assert.ok(parsePoll({ pollOptions, pollDurationMinutes: 4 }).error);
+  assert.ok(parsePoll({ pollOptions, pollDurationMinutes: 7 * 24 * 60 + 1 }).error);
+  assert.ok(parsePoll({ pollOptions, pollDurationMinutes: '10.5' }).error);
+  assert.ok(parsePoll({ pollOptions, pollDurationMinutes: '30' }).poll);
+});
+
+test('formatPoll hides results from viewers who have not voted', () => {
+  const viewerId = new mongoose.Types.ObjectId();
+  const authorId = new mongoose.Types.ObjectId();
+  
+  const formatted = formatPoll(buildPoll(), viewerId, authorId);
+  
+  assert.equal(formatted.resultsVisible, false);
+  assert.equal(formatted.viewerChoice, null);
+  assert.deepEqual(formatted.options, [{ index: 0, text: 'Yes' }, { index: 1, text: 'No' }]);
+});
+
+test('formatPoll shows results and the choice to voters', () => {
+  const viewerId = new mongoose.Types.ObjectId();
+  const authorId = new mongoose.Types.ObjectId();
+  
+  const formatted = formatPoll(buildPoll(), viewerId, authorId, 0);
+  
+  assert.equal(formatted.resultsVisible, true);
+  assert.equal(formatted.viewerChoice, 0);
+  assert.deepEqual(formatted.options, [
+    { index: 0, text: 'Yes', votes: 1, percentage: 25 },
+    { index: 1, text: 'No', votes: 3, percentage: 75 }
+  ]);
+});
+
+test('formatPoll shows results to the author and once the poll has closed', () => {
+  const authorId = new mongoose.Types.ObjectId();
+  const closedPoll = buildPoll({ endsAt: new Date(Date.now() - MINUTE_MS) });
+  
+  assert.equal(formatPoll(buildPoll(), authorId, { _id: authorId }).resultsVisible, true);
+  assert.equal(formatPoll(closedPoll, null, authorId).resultsVisible, true);
+  assert.equal(formatPoll(closedPoll, null, authorId).isClosed, true);
+});
+
+test('formatPoll reports zero percentages for polls without votes', () => {
+  const poll = buildPoll({
+    options: [{ text: 'Yes', votes: 0 }, { text: 'No', votes: 0 }],
+    totalVotes: 0,
+    endsAt: new Date(Date.now() - MINUTE_MS)
+  });
+  
+  assert.deepEqual(formatPoll(poll, null, null).options.map(option => option.percentage), [0, 0]);
+});
@@ -0,0 +1,130 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Block = require('../models/Block');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const Notification = require('../models/Notification');
+const { getUserTweets, followUser } = require('../controllers/userController');
+const { canViewTweetsOf } = require('../utils/visibility');
+
+// Minimal stand-in for an Express response
+const createResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run a handler and fail the test if it passes an error to next()
+const run = async (handler, req) => {
+  const res = createResponse();
+  
+  await handler(req, res, (error) => {
+    throw error || new Error('Unexpected call to next()');
+  });
+  
+  return res;
+};
+
+const createUser = (username, fields = {}) => new User({
+  name: username,
+  username,
+  email: `${username}@example.com`,
+  ...fields
+});
+
+afterEach(() => mock.restoreAll());
+
+test('canViewTweetsOf only shows protected tweets to the owner and followers', async () => {
+  const follower = createUser('follower');
+  const stranger = createUser('stranger');
+  const author = createUser('author', { isProtected: true });
+  const publicAuthor = createUser('public');
+  
+  mock.method(Follow, 'exists', async (filter) => (
+    filter.follower.equals(follower._id) && filter.following.equals(author._id) ? { _id: filter.follower } : null
+  ));
+  
+  assert.equal(await canViewTweetsOf(author._id, author), true);
+  assert.equal(await canViewTweetsOf(follower._id, author), true);
+  assert.equal(await canViewTweetsOf(stranger._id, author), false);
+  assert.equal(await canViewTweetsOf(null, author), false);
+  assert.equal(await canViewTweetsOf(null, publicAuthor), true);
+});
+
+test('getUserTweets hides protected tweets from anonymous viewers and non-followers', async () => {
+  const author = createUser('author', { isProtected: true });
+  const stranger = createUser('stranger');
+  
+  mock.method(User, 'findOne', async () => author);
+  mock.method(Block, 'exists', async () => null);
+  mock.method(Follow, 'exists', async () => null);
+  const findTweets = mock.method(Tweet, 'find');
+  
+  for (const viewer of [undefined, stranger]) {
+    const res = await run(getUserTweets, {
+      params: { username: 'author' },
+      query: {},
+      user: viewer
+    });
+    
+    assert.equal(res.statusCode, 403);
+    assert.match(res.body.message, /protected/);
+  }
+  
+  assert.equal(findTweets.mock.callCount(), 0);
+});
+
+test('followUser sends a follow request to a protected account', async () => {
+  const requester = createUser('requester');
+  const author = createUser('author', { isProtected: true });
+  
+  mock.method(User, 'findById', async () => author);
+  mock.method(Block, 'exists', async () => null);
+  mock.method(Follow, 'exists', async () => null);
+  mock.method(FollowRequest, 'findOne', async () => null);
+  const createRequest = mock.method(FollowRequest, 'create', async () => ({}));
+  const notify = mock.method(Notification, 'create', async () => ({}));
+  const addFollow = mock.method(Follow, 'updateOne', async () => ({ upsertedCount: 1 }));
+  
+  const res = await run(followUser, {
+    params: { id: author._id.toString() },
+    user: requester
+  });
+  
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.pending, true);
+  assert.deepEqual(createRequest.mock.calls[0].arguments[0], {
+    requester: requester._id,
+    target: author._id
+  });
+  assert.equal(notify.mock.calls[0].arguments[0].type, 'follow_request');
+  assert.equal(addFollow.mock.callCount(), 0);
+});
+
+test('followUser does not send a second follow request', async () => {
+  const requester = createUser('requester');
+  const author = createUser('author', { isProtected: true });
+  
+  mock.method(User, 'findById', async () => author);
+  mock.method(Block, 'exists', async () => null);
+  mock.method(Follow, 'exists', async () => null);
+  mock.method(FollowRequest, 'findOne', async () => ({ _id: author._id }));
+  const createRequest = mock.method(FollowRequest, 'create', async () => ({}));
+  
+  const res = await run(followUser, {
+    params: { id: author._id.toString() },
+    user: requester
+  });
+  
+  assert.equal(res.statusCode, 400);
+  assert.equal(createRequest.mock.callCount(), 0);
+});
@@ -0,0 +1,87 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const { getRecommendations } = require('../utils/recommendations');
+
+// Stand-in for a chainable query that resolves to the given result and
+// records the names of the methods chained onto it
+const createQuery = (result, calls = []) => {
+  const query = new Proxy({}, {
+    get: (target, prop) => {
+      if (prop === 'then') {
+        return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+      }
+      
+      return (...args) => {
+        calls.push({ method: prop, args });
+        return query;
+      };
+    }
+  });
+  
+  return query;
+};
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Whether an aggregation pipeline drops the candidates the user follows
+const dropsFollowed = (pipeline, userId) => pipeline.some(stage => (
+  stage.$lookup &&
+  stage.$lookup.from === Follow.collection.name &&
+  stage.$lookup.pipeline[0].$match.follower === userId
+));
+
+afterEach(() => mock.restoreAll());
+
+test('getRecommendations samples recent follows and never loads the whole following list', async () => {
+  const userId = id();
+  const followed = id();
+  const candidate = new User({ name: 'Candidate', username: 'candidate', email: 'candidate@example.com' });
+  const followQueries = [];
+  
+  mock.method(Block, 'find', () => createQuery([]));
+  mock.method(Mute, 'find', async () => []);
+  mock.method(SuggestionDismissal, 'find', () => createQuery([]));
+  mock.method(FollowRequest, 'find', () => createQuery([]));
+  mock.method(Follow, 'find', () => {
+    const calls = [];
+    followQueries.push(calls);
+    return createQuery([{ following: followed }], calls);
+  });
+  mock.method(Tweet, 'find', () => createQuery([]));
+  const aggregateFollows = mock.method(Follow, 'aggregate', async () => [
+    { _id: candidate._id, count: 1, via: [followed] }
+  ]);
+  const aggregateTweets = mock.method(Tweet, 'aggregate', async () => []);
+  mock.method(User, 'find', (filter) => createQuery(filter._id.$in.includes(candidate._id) ? [candidate] : []));
+  const aggregateUsers = mock.method(User, 'aggregate', async () => []);
+  
+  const suggestions = await getRecommendations(userId, 3);
+  
+  assert.deepEqual(suggestions.map(suggestion => suggestion.username), ['candidate']);
+  
+  // Only the capped sample of recent follows is read
+  assert.equal(followQueries.length, 1);
+  assert.ok(followQueries[0].some(call => call.method === 'limit'));
+  assert.ok(!followQueries[0].some(call => call.method === 'distinct'));
+  
+  const [fofPipeline] = aggregateFollows.mock.calls[0].arguments;
+  assert.deepEqual(fofPipeline[0].$match.follower.$in, [followed]);
+  
+  // Followed accounts are dropped per candidate instead of by a $nin list
+  for (const aggregate of [aggregateFollows, aggregateTweets, aggregateUsers]) {
+    for (const call of aggregate.mock.calls) {
+      assert.ok(dropsFollowed(call.arguments[0], userId));
+    }
+  }
+  
+  assert.equal(aggregateUsers.mock.callCount(), 1);
+  assert.ok(!aggregateUsers.mock.calls[0].arguments[0][0].$match._id.$nin.includes(followed));
+});
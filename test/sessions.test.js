@@ -0,0 +1,118 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { refreshUserToken } = require('../controllers/authController');
+const { generateToken, generateRefreshToken } = require('../middleware/authMiddleware');
+const { hashToken } = require('../utils/tokens');
+
+// Minimal stand-in for an Express response
+const createResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const createRequest = (refreshToken) => ({
+  body: { refreshToken },
+  ip: '127.0.0.1',
+  get: () => 'test-agent'
+});
+
+// Run a handler and fail the test if it passes an error to next()
+const run = async (handler, req) => {
+  const res = createResponse();
+  
+  await handler(req, res, (error) => {
+    throw error || new Error('Unexpected call to next()');
+  });
+  
+  return res;
+};
+
+const createSessionDoc = (userId) => new Session({
+  user: userId,
+  refreshTokenHash: 'hash',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+afterEach(() => mock.restoreAll());
+
+test('refreshUserToken rotates the refresh token of an active session', async () => {
+  const user = new User({ name: 'Alice', username: 'alice', email: 'alice@example.com' });
+  const session = createSessionDoc(user._id);
+  const refreshToken = generateRefreshToken(user._id, session._id);
+  let rotateFilter;
+  
+  mock.method(Session, 'findOne', async () => session);
+  mock.method(User, 'findById', async () => user);
+  mock.method(Session, 'findOneAndUpdate', async (filter) => {
+    rotateFilter = filter;
+    return session;
+  });
+  
+  const res = await run(refreshUserToken, createRequest(refreshToken));
+  
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.accessToken);
+  assert.ok(res.body.refreshToken);
+  assert.notEqual(res.body.refreshToken, refreshToken);
+  // The rotation only matches while the presented token is the current one
+  assert.equal(rotateFilter.refreshTokenHash, hashToken(refreshToken));
+});
+
+test('refreshUserToken revokes the session when a rotated token is reused', async () => {
+  const user = new User({ name: 'Alice', username: 'alice', email: 'alice@example.com' });
+  const session = createSessionDoc(user._id);
+  const staleToken = generateRefreshToken(user._id, session._id);
+  const revoke = mock.fn(async () => ({ modifiedCount: 1 }));
+  
+  mock.method(Session, 'findOne', async () => session);
+  mock.method(User, 'findById', async () => user);
+  mock.method(Session, 'findOneAndUpdate', async () => null);
+  mock.method(Session, 'updateOne', revoke);
+  
+  const res = await run(refreshUserToken, createRequest(staleToken));
+  
+  assert.equal(res.statusCode, 401);
+  assert.match(res.body.message, /reuse detected/);
+  assert.equal(revoke.mock.callCount(), 1);
+  
+  const [filter, update] = revoke.mock.calls[0].arguments;
+  assert.equal(filter._id, session._id);
+  assert.equal(update.revokedReason, 'reuse_detected');
+});
+
+test('refreshUserToken rejects tokens of revoked sessions', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const session = createSessionDoc(userId);
+  session.revokedAt = new Date();
+  
+  mock.method(Session, 'findOne', async () => session);
+  const rotate = mock.method(Session, 'findOneAndUpdate', async () => session);
+  
+  const res = await run(refreshUserToken, createRequest(generateRefreshToken(userId, session._id)));
+  
+  assert.equal(res.statusCode, 401);
+  assert.equal(rotate.mock.callCount(), 0);
+});
+
+test('refreshUserToken does not accept access tokens', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const findSession = mock.method(Session, 'findOne', async () => null);
+  
+  const res = await run(refreshUserToken, createRequest(generateToken(userId, new mongoose.Types.ObjectId())));
+  
+  assert.equal(res.statusCode, 401);
+  assert.equal(findSession.mock.callCount(), 0);
+});
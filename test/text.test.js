@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractMentions, extractHashtags, tokenize } = require('../utils/text');
+
+test('extractMentions returns unique lowercase usernames', () => {
+  assert.deepEqual(extractMentions('Hi @Alice and @bob_1, cc @alice'), ['alice', 'bob_1']);
+});
+
+test('extractMentions handles text without mentions', () => {
+  assert.deepEqual(extractMentions('no mentions here'), []);
+  assert.deepEqual(extractMentions(''), []);
+  assert.deepEqual(extractMentions(), []);
+});
+
+test('extractMentions stops at non-word characters', () => {
+  assert.deepEqual(extractMentions('@carol! (@dave) @'), ['carol', 'dave']);
+});
+
+test('extractMentions gives the same result on repeated calls', () => {
+  const text = '@erin @frank';
+  
+  assert.deepEqual(extractMentions(text), extractMentions(text));
+});
+
+test('extractHashtags returns unique lowercase hashtags', () => {
+  assert.deepEqual(extractHashtags('#NodeJS and #nodejs with #express'), ['nodejs', 'express']);
+});
+
+test('tokenize splits text into lowercase words', () => {
+  assert.deepEqual(tokenize('Hello, World! #Tag'), ['hello', 'world', 'tag']);
+  assert.deepEqual(tokenize(''), []);
+});
@@ -0,0 +1,73 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const { createThread } = require('../controllers/tweetController');
+
+// Minimal stand-in for an Express response
+const createResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Stand-in for a MongoDB client session
+const createSession = () => ({
+  withTransaction: mock.fn(async (fn) => fn()),
+  endSession: mock.fn(async () => {})
+});
+
+const author = { _id: new mongoose.Types.ObjectId(), isProtected: false };
+
+afterEach(() => mock.restoreAll());
+
+test('createThread writes every tweet of the thread in one transaction', async () => {
+  const session = createSession();
+  const writeError = new Error('Write conflict');
+  
+  mock.method(mongoose, 'startSession', async () => session);
+  const insertMany = mock.method(Tweet, 'insertMany', async () => {
+    throw writeError;
+  });
+  
+  let passedError;
+  await createThread(
+    { body: { tweets: [{ text: 'First' }, { text: 'Second' }] }, user: author },
+    createResponse(),
+    (error) => {
+      passedError = error;
+    }
+  );
+  
+  assert.equal(passedError, writeError);
+  assert.equal(session.withTransaction.mock.callCount(), 1);
+  assert.equal(session.endSession.mock.callCount(), 1);
+  
+  const [docs, options] = insertMany.mock.calls[0].arguments;
+  assert.equal(docs.length, 2);
+  assert.equal(options.session, session);
+  assert.ok(docs[1].parentTweet.equals(docs[0]._id));
+});
+
+test('createThread rejects threads with missing text before writing', async () => {
+  const startSession = mock.method(mongoose, 'startSession', async () => createSession());
+  const res = createResponse();
+  
+  await createThread(
+    { body: { tweets: [{ text: 'First' }, { text: 42 }] }, user: author },
+    res,
+    (error) => {
+      throw error || new Error('Unexpected call to next()');
+    }
+  );
+  
+  assert.equal(res.statusCode, 400);
+  assert.equal(startSession.mock.callCount(), 0);
+});
@@ -0,0 +1,104 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const { getTimeline } = require('../controllers/tweetController');
+
+// Stand-in for a chainable query that resolves to the given result
+const createQuery = (result) => {
+  const query = new Proxy({}, {
+    get: (target, prop) => (prop === 'then'
+      ? (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+      : () => query)
+  });
+  
+  return query;
+};
+
+const id = () => new mongoose.Types.ObjectId();
+
+const viewer = { _id: id(), followingCount: 5000 };
+const followed = id();
+const muted = id();
+const stranger = id();
+
+// Serve timeline scans from an in-memory list of tweets (newest first) and
+// return the ids requested for the page
+const mockTweets = (tweets) => {
+  const pageIds = [];
+  
+  mock.method(Tweet, 'find', (filter) => {
+    if (filter._id && filter._id.$in) {
+      pageIds.push(...filter._id.$in);
+      return createQuery([]);
+    }
+    
+    const matching = tweets.filter(tweet => !filter.createdAt || (
+      tweet.createdAt <= filter.createdAt.$lte &&
+      !filter._id.$nin.some(seenId => seenId.equals(tweet._id))
+    ));
+    
+    return createQuery(matching.slice(0, 200));
+  });
+  
+  return pageIds;
+};
+
+const loadPage = async (page, limit) => {
+  const res = {
+    json(body) {
+      this.body = body;
+    }
+  };
+  
+  await getTimeline({ query: { page, limit }, user: viewer }, res, (error) => {
+    throw error;
+  });
+};
+
+afterEach(() => mock.restoreAll());
+
+test('large timelines include followed authors, their retweets and the user\'s own tweets', async () => {
+  const start = Date.now();
+  const at = (minutesAgo) => new Date(start - minutesAgo * 60 * 1000);
+  const retweeted = { _id: id(), author: stranger, createdAt: at(3) };
+  const tweets = [
+    { _id: id(), author: followed, isRetweet: true, originalTweet: retweeted._id, createdAt: at(1) },
+    { _id: id(), author: stranger, createdAt: at(2) },
+    retweeted,
+    { _id: id(), author: muted, createdAt: at(4) },
+    { _id: id(), author: viewer._id, createdAt: at(5) },
+    { _id: id(), author: followed, createdAt: at(6) }
+  ];
+  
+  mock.method(Block, 'find', () => createQuery([]));
+  mock.method(Mute, 'find', () => createQuery([{ kind: 'account', target: muted }]));
+  mock.method(Follow, 'find', () => createQuery([followed, muted]));
+  
+  const firstPage = mockTweets(tweets);
+  await loadPage(1, 3);
+  
+  const secondPage = mockTweets(tweets);
+  await loadPage(2, 3);
+  
+  assert.deepEqual(firstPage, [tweets[0]._id, retweeted._id, tweets[4]._id]);
+  assert.deepEqual(secondPage, [tweets[5]._id]);
+});
+
+test('large timelines read past batches of tweets posted at the same time', async () => {
+  const createdAt = new Date();
+  const tweets = Array.from({ length: 450 }, () => ({ _id: id(), author: followed, createdAt }));
+  
+  mock.method(Block, 'find', () => createQuery([]));
+  mock.method(Mute, 'find', () => createQuery([]));
+  mock.method(Follow, 'find', () => createQuery([followed]));
+  
+  const pageIds = mockTweets(tweets);
+  await loadPage(1, 450);
+  
+  assert.equal(pageIds.length, 450);
+  assert.equal(new Set(pageIds.map(String)).size, 450);
+});
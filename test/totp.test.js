@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, generateTotp, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const STEP_MS = 30 * 1000;
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+  assert.equal(generateTotp(RFC_SECRET, 59 * 1000), '287082');
+  assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000), '081804');
+  assert.equal(generateTotp(RFC_SECRET, 1234567890 * 1000), '005924');
+});
+
+test('generateSecret returns a 32 character base32 secret', () => {
+  const secret = generateSecret();
+  
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateSecret(), secret);
+});
+
+test('verifyTotp returns the time step of a current code', () => {
+  const now = Date.now();
+  const code = generateTotp(RFC_SECRET, now);
+  
+  assert.equal(verifyTotp(RFC_SECRET, code), Math.floor(now / STEP_MS));
+});
+
+test('verifyTotp accepts codes one step away and rejects older ones', () => {
+  const now = Date.now();
+  
+  assert.notEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - STEP_MS)), null);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 3 * STEP_MS)), null);
+});
+
+test('verifyTotp ignores spaces and rejects malformed codes', () => {
+  const code = generateTotp(RFC_SECRET);
+  
+  assert.notEqual(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`), null);
+  assert.equal(verifyTotp(RFC_SECRET, '12345'), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef'), null);
+  assert.equal(verifyTotp(RFC_SECRET, undefined), null);
+});
+
+test('buildOtpauthUri encodes the account and the TOTP settings', () => {
+  const uri = new URL(buildOtpauthUri(RFC_SECRET, 'alice@example.com'));
+  
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Chirp Social:alice@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
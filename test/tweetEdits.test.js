@@ -0,0 +1,84 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const { editTweet } = require('../controllers/tweetController');
+
+// Minimal stand-in for an Express response
+const createResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run a handler and fail the test if it passes an error to next()
+const run = async (handler, req) => {
+  const res = createResponse();
+  
+  await handler(req, res, (error) => {
+    throw error || new Error('Unexpected call to next()');
+  });
+  
+  return res;
+};
+
+const author = { _id: new mongoose.Types.ObjectId(), isProtected: false };
+
+const createPollTweet = () => new Tweet({
+  text: 'Which one?',
+  author: author._id,
+  createdAt: new Date(),
+  poll: {
+    options: [{ text: 'This' }, { text: 'That' }],
+    endsAt: new Date(Date.now() + 60 * 60 * 1000)
+  }
+});
+
+const editRequest = (tweet, text) => ({
+  params: { id: tweet._id.toString() },
+  body: { text },
+  user: author
+});
+
+afterEach(() => mock.restoreAll());
+
+test('editTweet rejects text that is not a string', async () => {
+  const tweet = createPollTweet();
+  mock.method(Tweet, 'findById', async () => tweet);
+  const update = mock.method(Tweet, 'updateOne', async () => ({ matchedCount: 1 }));
+  
+  for (const text of [undefined, 42, ['Which one?'], { text: 'Which one?' }]) {
+    const res = await run(editTweet, editRequest(tweet, text));
+    
+    assert.equal(res.statusCode, 400);
+  }
+  
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('editTweet only saves while the poll has no votes', async () => {
+  const tweet = createPollTweet();
+  mock.method(Tweet, 'findById', async () => tweet);
+  // A vote was cast after the tweet was loaded
+  const update = mock.method(Tweet, 'updateOne', async () => ({ matchedCount: 0 }));
+  const syncRetweets = mock.method(Tweet, 'updateMany', async () => ({}));
+  
+  const res = await run(editTweet, editRequest(tweet, 'Which one? #poll'));
+  
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /poll votes/);
+  assert.equal(syncRetweets.mock.callCount(), 0);
+  
+  const [filter, changes] = update.mock.calls[0].arguments;
+  assert.equal(filter['poll.totalVotes'], 0);
+  assert.equal(changes.text, 'Which one? #poll');
+  assert.deepEqual([...changes.hashtags], ['poll']);
+  assert.equal(changes.$push.editHistory.text, 'Which one?');
+});
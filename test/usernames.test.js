@@ -0,0 +1,97 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const UsernameReservation = require('../models/UsernameReservation');
+const { updateUserProfile } = require('../controllers/userController');
+
+// Minimal stand-in for an Express response
+const createResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run a handler and collect the error passed to next(), if any
+const run = async (handler, req) => {
+  const res = createResponse();
+  
+  await handler(req, res, (error) => {
+    res.error = error;
+  });
+  
+  return res;
+};
+
+const createUser = () => new User({
+  name: 'Alice',
+  username: 'alice',
+  email: 'alice@example.com',
+  password: 'password123'
+});
+
+// Record the writes that touch the user and username reservations, in order
+const mockWrites = (user) => {
+  const writes = [];
+  
+  mock.method(User, 'findById', async () => user);
+  mock.method(User, 'exists', async () => null);
+  mock.method(UsernameReservation, 'findOne', async () => null);
+  mock.method(user, 'save', async () => {
+    writes.push('save');
+    return user;
+  });
+  mock.method(UsernameReservation, 'deleteOne', async () => {
+    writes.push('release');
+    return {};
+  });
+  mock.method(UsernameReservation, 'findOneAndUpdate', async (filter) => {
+    writes.push(`reserve ${filter.username}`);
+    return {};
+  });
+  
+  return writes;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('updateUserProfile reserves the old handle after saving the new username', async () => {
+  const user = createUser();
+  const writes = mockWrites(user);
+  
+  const res = await run(updateUserProfile, {
+    body: { username: 'alice_new' },
+    user: { _id: user._id }
+  });
+  
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.username, 'alice_new');
+  assert.deepEqual(writes, ['save', 'release', 'reserve alice']);
+  assert.equal(user.usernameHistory[0].username, 'alice');
+});
+
+test('updateUserProfile does not reserve handles when the input is invalid', async () => {
+  const invalidInputs = [
+    { username: 'alice_new', isProtected: 'yes' },
+    { username: 'alice_new', bio: 'x'.repeat(1000) },
+    { username: 'not valid!' }
+  ];
+  
+  for (const body of invalidInputs) {
+    const user = createUser();
+    const writes = mockWrites(user);
+    
+    const res = await run(updateUserProfile, { body, user: { _id: user._id } });
+    
+    assert.ok(res.statusCode === 400 || res.error, JSON.stringify(body));
+    assert.deepEqual(writes, []);
+    
+    mock.restoreAll();
+  }
+});
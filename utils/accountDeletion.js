@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const FollowRequest = require('../models/FollowRequest');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const List = require('../models/List');
+const UsernameReservation = require('../models/UsernameReservation');
+const VerificationRequest = require('../models/VerificationRequest');
+const VerificationAudit = require('../models/VerificationAudit');
+const UserStats = require('../models/UserStats');
+const { removeTweet } = require('./tweetRemoval');
+const { removeAllFollows } = require('./followGraph');
+const { removeUserVotes } = require('./polls');
+const { revokeAllSessions } = require('./sessions');
+const { sendMail } = require('./mailer');
+
+// Days an account can still be restored after a deletion request
+const getGracePeriodDays = () => Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Schedule an account for deletion and sign it out everywhere
+const scheduleAccountDeletion = async (user) => {
+  const deletionScheduledAt = new Date(Date.now() + getGracePeriodDays() * 24 * 60 * 60 * 1000);
+  
+  user.deletionScheduledAt = deletionScheduledAt;
+  await user.save();
+  
+  await revokeAllSessions(user._id, 'account_deletion');
+  await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+  
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your Chirp Social account is scheduled for deletion',
+      text: `Hi ${user.name},\n\nYour account @${user.username} will be permanently deleted on ${deletionScheduledAt.toISOString()}.\n\nIf you change your mind, log in before then to restore it.`
+    });
+  } catch (error) {
+    console.error('Deletion email error:', error.message);
+  }
+  
+  return deletionScheduledAt;
+};
+
+// Cancel a pending deletion (e.g. when the user logs in again).
+// Returns true if a deletion was cancelled.
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledAt) {
+    return false;
+  }
+  
+  user.deletionScheduledAt = null;
+  await user.save();
+  
+  return true;
+};
+
+// Permanently delete a user and everything that references them
+const purgeUser = async (userId) => {
+  // Delete the user's tweets, retweets and replies one by one so that
+  // parents, originals, trending topics and media are cleaned up too
+  const tweets = Tweet.find({ author: userId }).cursor();
+  
+  for await (const tweet of tweets) {
+    await removeTweet(tweet);
+  }
+  
+  // Remove the user from mentions and their likes and retweets from other tweets
+  await Tweet.updateMany({ mentions: userId }, { $pull: { mentions: userId } });
+  await Tweet.updateMany({ likes: userId }, { $pull: { likes: userId } });
+  await Tweet.updateMany({ retweets: userId }, { $pull: { retweets: userId } });
+  
+  // Remove the user's poll votes, together with the votes they counted for
+  await removeUserVotes(userId);
+  
+  // Remove notifications sent to or by the user
+  await Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] });
+  
+  // Remove the user from other users' follow lists
+  await removeAllFollows(userId);
+  await FollowRequest.deleteMany({ $or: [{ requester: userId }, { target: userId }] });
+  
+  // Remove blocks in both directions
+  await Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] });
+  
+  // Remove mutes by and of the user
+  await Mute.deleteMany({ $or: [{ user: userId }, { target: userId }] });
+  await SuggestionDismissal.deleteMany({ $or: [{ user: userId }, { dismissed: userId }] });
+  
+  // Remove the user's lists and their memberships and subscriptions
+  const listIds = await List.find({ owner: userId }).distinct('_id');
+  await Notification.deleteMany({ list: { $in: listIds } });
+  await List.deleteMany({ owner: userId });
+  await List.updateMany(
+    { $or: [{ members: userId }, { subscribers: userId }] },
+    { $pull: { members: userId, subscribers: userId } }
+  );
+  
+  // Remove verification requests and badge history
+  await VerificationRequest.deleteMany({ user: userId });
+  await VerificationAudit.deleteMany({ user: userId });
+  
+  // Remove profile analytics (tweet analytics go with the tweets)
+  await UserStats.deleteMany({ user: userId });
+  
+  // Release the user's old handles
+  await UsernameReservation.deleteMany({ user: userId });
+  
+  // Remove credentials
+  await Session.deleteMany({ user: userId });
+  await ApiToken.deleteMany({ user: userId });
+  
+  await User.deleteOne({ _id: userId });
+};
+
+// Purge all accounts whose grace period has ended
+const processScheduledDeletions = async () => {
+  const users = await User.find({ deletionScheduledAt: { $lte: new Date() } }).select('_id');
+  let deletedCount = 0;
+  
+  // Log ids only; usernames of deleted accounts are not kept anywhere
+  for (const user of users) {
+    try {
+      await purgeUser(user._id);
+      deletedCount++;
+    } catch (error) {
+      console.error(`Account deletion error for user ${user._id}:`, error.message);
+    }
+  }
+  
+  if (deletedCount > 0) {
+    console.log(`Deleted ${deletedCount} scheduled accounts`);
+  }
+};
+
+module.exports = {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeUser,
+  processScheduledDeletions
+};
@@ -0,0 +1,154 @@
+const TweetStats = require('../models/TweetStats');
+const UserStats = require('../models/UserStats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest period that can be requested from the analytics endpoints
+const MAX_ANALYTICS_DAYS = 90;
+
+// Get the id of a possibly populated reference
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Get the start of the UTC day of a date
+const startOfDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Run an analytics write without blocking or failing the request
+const track = (promise) => {
+  promise.catch(err => console.error('Analytics error:', err.message));
+};
+
+// Increment counters in the bucket of a document for today
+const incrementBucket = (Model, filter, counters) => {
+  return Model.updateOne(
+    { ...filter, day: startOfDay() },
+    { $inc: counters },
+    { upsert: true }
+  );
+};
+
+// Record that tweets were shown to a viewer. Retweets count towards the
+// tweet they repeat; authors viewing their own tweets are not counted.
+const recordImpressions = (tweets, viewerId) => {
+  const day = startOfDay();
+  const tweetOps = [];
+  const authorCounts = new Map();
+  
+  for (const tweet of tweets) {
+    const shown = tweet.isRetweet && tweet.originalTweet && tweet.originalTweet.author
+      ? tweet.originalTweet
+      : tweet;
+    const authorId = getId(shown.author);
+    
+    if (!authorId || (viewerId && authorId.toString() === viewerId.toString())) {
+      continue;
+    }
+    
+    tweetOps.push({
+      updateOne: {
+        filter: { tweet: shown._id, day },
+        update: { $inc: { impressions: 1 }, $setOnInsert: { author: authorId } },
+        upsert: true
+      }
+    });
+    
+    authorCounts.set(authorId.toString(), (authorCounts.get(authorId.toString()) || 0) + 1);
+  }
+  
+  if (tweetOps.length === 0) {
+    return;
+  }
+  
+  const userOps = [...authorCounts].map(([authorId, count]) => ({
+    updateOne: {
+      filter: { user: authorId, day },
+      update: { $inc: { impressions: count } },
+      upsert: true
+    }
+  }));
+  
+  track(Promise.all([
+    TweetStats.bulkWrite(tweetOps, { ordered: false }),
+    UserStats.bulkWrite(userOps, { ordered: false })
+  ]));
+};
+
+// Record a like, retweet, reply or quote on a tweet
+// ('likes', 'retweets', 'replies' or 'quotes')
+const recordEngagement = (tweet, type) => {
+  const authorId = getId(tweet.author);
+  
+  track(Promise.all([
+    TweetStats.updateOne(
+      { tweet: tweet._id, day: startOfDay() },
+      { $inc: { [type]: 1 }, $setOnInsert: { author: authorId } },
+      { upsert: true }
+    ),
+    incrementBucket(UserStats, { user: authorId }, { engagements: 1 })
+  ]));
+};
+
+// Record a view of a user's profile by someone else
+const recordProfileView = (userId, viewerId) => {
+  if (viewerId && userId.toString() === viewerId.toString()) {
+    return;
+  }
+  
+  track(incrementBucket(UserStats, { user: userId }, { profileViews: 1 }));
+};
+
+// Record a gained (delta 1) or lost (delta -1) follower
+const recordFollowerChange = (userId, delta) => {
+  track(incrementBucket(UserStats, { user: userId }, delta > 0 ? { followersGained: 1 } : { followersLost: 1 }));
+};
+
+// Read the number of days requested from the analytics endpoints
+const parseDays = (value, defaultDays = 28) => {
+  const days = Math.floor(Number(value || defaultDays));
+  
+  if (!(days >= 1 && days <= MAX_ANALYTICS_DAYS)) {
+    return null;
+  }
+  
+  return days;
+};
+
+// Build a daily series for the last `days` days from buckets, filling
+// days without a bucket with zeros
+const buildDailySeries = (buckets, days, fields) => {
+  const today = startOfDay();
+  const byDay = new Map(buckets.map(bucket => [bucket.day.getTime(), bucket]));
+  const series = [];
+  
+  for (let i = days - 1; i >= 0; i--) {
+    const day = new Date(today.getTime() - i * DAY_MS);
+    const bucket = byDay.get(day.getTime());
+    const point = { date: day.toISOString().slice(0, 10) };
+    
+    for (const field of fields) {
+      point[field] = bucket ? bucket[field] || 0 : 0;
+    }
+    
+    series.push(point);
+  }
+  
+  return series;
+};
+
+// Engagements per impression, rounded to 4 decimals
+const engagementRate = (engagements, impressions) => {
+  return impressions > 0 ? Math.round((engagements / impressions) * 10000) / 10000 : 0;
+};
+
+module.exports = {
+  startOfDay,
+  recordImpressions,
+  recordEngagement,
+  recordProfileView,
+  recordFollowerChange,
+  parseDays,
+  buildDailySeries,
+  engagementRate,
+  DAY_MS
+};
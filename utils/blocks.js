@@ -0,0 +1,37 @@
+const Block = require('../models/Block');
+
+// Get the ids of users hidden from a user because of a block in either direction
+const getBlockedUserIds = async (userId) => {
+  if (!userId) {
+    return [];
+  }
+  
+  const blocks = await Block.find({
+    $or: [{ blocker: userId }, { blocked: userId }]
+  }).select('blocker blocked');
+  
+  return blocks.map(block => (
+    block.blocker.toString() === userId.toString() ? block.blocked : block.blocker
+  ));
+};
+
+// Check if either user has blocked the other
+const isBlockedBetween = async (userId, otherUserId) => {
+  if (!userId || !otherUserId) {
+    return false;
+  }
+  
+  const block = await Block.exists({
+    $or: [
+      { blocker: userId, blocked: otherUserId },
+      { blocker: otherUserId, blocked: userId }
+    ]
+  });
+  
+  return Boolean(block);
+};
+
+module.exports = {
+  getBlockedUserIds,
+  isBlockedBetween
+};
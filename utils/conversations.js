@@ -0,0 +1,157 @@
+const Tweet = require('../models/Tweet');
+const { populateFeedTweets } = require('./tweetFeed');
+const { getHiddenAuthorIds } = require('./visibility');
+
+// Get the id of a possibly populated reference
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Deepest ancestor chain returned for a tweet
+const MAX_ANCESTORS = 100;
+
+// Levels of replies below each top-level reply, and replies shown per tweet
+const REPLY_TREE_DEPTH = 2;
+const REPLY_PREVIEW_LIMIT = 3;
+
+// Rank replies: the conversation author's own replies first (thread
+// continuations), then by engagement, then oldest first
+const rankStages = (authorId) => [
+  {
+    $addFields: {
+      isAuthorReply: { $eq: ['$author', authorId] },
+      engagementScore: {
+        $add: [
+          { $size: '$likes' },
+          { $size: '$retweets' },
+          { $size: '$replies' },
+          { $ifNull: ['$quoteCount', 0] }
+        ]
+      }
+    }
+  },
+  { $sort: { isAuthorReply: -1, engagementScore: -1, createdAt: 1 } }
+];
+
+// Load populated tweets by id, keeping the order of the ids
+const loadTweets = async (ids) => {
+  const tweets = await populateFeedTweets(Tweet.find({ _id: { $in: ids } }));
+  const byId = new Map(tweets.map(tweet => [tweet._id.toString(), tweet]));
+  
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Get the ancestors of a tweet from the root down to its parent
+const getAncestors = async (tweet) => {
+  if (!tweet.parentTweet) {
+    return [];
+  }
+  
+  const [result] = await Tweet.aggregate([
+    { $match: { _id: tweet._id } },
+    {
+      $graphLookup: {
+        from: Tweet.collection.name,
+        startWith: '$parentTweet',
+        connectFromField: 'parentTweet',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth',
+        maxDepth: MAX_ANCESTORS - 1
+      }
+    },
+    { $project: { 'ancestors._id': 1, 'ancestors.depth': 1 } }
+  ]);
+  
+  const ids = result.ancestors
+    .sort((a, b) => b.depth - a.depth)
+    .map(ancestor => ancestor._id);
+  
+  return loadTweets(ids);
+};
+
+// Get a page of ranked direct replies to a tweet, with one extra reply
+// to detect further pages
+const getTopReplies = async (tweet, authorId, excludedAuthorIds, page, limit) => {
+  const replies = await Tweet.aggregate([
+    { $match: { parentTweet: tweet._id, isReply: true, author: { $nin: excludedAuthorIds } } },
+    ...rankStages(authorId),
+    { $skip: (page - 1) * limit },
+    { $limit: limit + 1 },
+    { $project: { _id: 1 } }
+  ]);
+  
+  return replies.map(reply => reply._id);
+};
+
+// Get the highest ranked replies to each of a set of tweets
+const getReplyPreviews = async (parentIds, authorId, excludedAuthorIds) => {
+  const groups = await Tweet.aggregate([
+    { $match: { parentTweet: { $in: parentIds }, isReply: true, author: { $nin: excludedAuthorIds } } },
+    ...rankStages(authorId),
+    { $group: { _id: '$parentTweet', replies: { $push: '$_id' } } },
+    { $project: { replies: { $slice: ['$replies', REPLY_PREVIEW_LIMIT] } } }
+  ]);
+  
+  return new Map(groups.map(group => [group._id.toString(), group.replies]));
+};
+
+// Load the conversation around a tweet: its ancestors and a page of ranked
+// replies, each with a preview of the replies below it. Tweets by excluded
+// authors and by protected accounts the viewer cannot see are left out of
+// the reply tree; such ancestors are returned as null so the chain keeps
+// its shape. The hidden protected authors are returned with the tree.
+const getConversation = async (tweet, excludedAuthorIds, { viewerId, page = 1, limit = 10 } = {}) => {
+  const root = tweet.conversationId && !tweet.conversationId.equals(tweet._id)
+    ? await Tweet.findById(tweet.conversationId).select('author')
+    : null;
+  const authorId = root ? root.author : getId(tweet.author);
+  
+  const loadedAncestors = await getAncestors(tweet);
+  
+  const topIds = await getTopReplies(tweet, authorId, excludedAuthorIds, page, limit);
+  const hasMore = topIds.length > limit;
+  
+  // Walk down the tree one level at a time
+  const childIds = new Map();
+  let levelIds = topIds.slice(0, limit);
+  const allIds = [...levelIds];
+  
+  for (let depth = 0; depth < REPLY_TREE_DEPTH && levelIds.length > 0; depth++) {
+    const previews = await getReplyPreviews(levelIds, authorId, excludedAuthorIds);
+    
+    levelIds = [];
+    for (const [parentId, ids] of previews) {
+      childIds.set(parentId, ids);
+      levelIds.push(...ids);
+    }
+    allIds.push(...levelIds);
+  }
+  
+  const tweets = await loadTweets(allIds);
+  const byId = new Map(tweets.map(reply => [reply._id.toString(), reply]));
+  
+  const hiddenAuthorIds = await getHiddenAuthorIds(viewerId, [...loadedAncestors, ...tweets]);
+  const excludedSet = new Set([...excludedAuthorIds, ...hiddenAuthorIds].map(id => id.toString()));
+  const isExcluded = (shown) => Boolean(shown.author && excludedSet.has(getId(shown.author).toString()));
+  
+  const ancestors = loadedAncestors.map(ancestor => (isExcluded(ancestor) ? null : ancestor));
+  
+  const buildNode = (id) => {
+    const reply = byId.get(id.toString());
+    
+    return reply && !isExcluded(reply) && {
+      tweet: reply,
+      replies: (childIds.get(id.toString()) || []).map(buildNode).filter(Boolean)
+    };
+  };
+  
+  return {
+    ancestors,
+    replies: topIds.slice(0, limit).map(buildNode).filter(Boolean),
+    hasMore,
+    hiddenAuthorIds
+  };
+};
+
+module.exports = {
+  getConversation
+};
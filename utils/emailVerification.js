@@ -0,0 +1,45 @@
+const jwt = require('jsonwebtoken');
+const validator = require('validator');
+const { sendMail } = require('./mailer');
+
+const TOKEN_PURPOSE = 'email-verification';
+
+// Generate a signed, expiring email verification token
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h' }
+  );
+};
+
+// Verify an email verification token and return its payload
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  if (decoded.purpose !== TOKEN_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  
+  return decoded;
+};
+
+// Send the verification link to the user's email address
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const verifyUrl = `${clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Chirp Social email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${validator.escape(user.name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${verifyUrl}">Verify email address</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  sendVerificationEmail
+};
@@ -0,0 +1,117 @@
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const { recordFollowerChange } = require('./analytics');
+
+// Recompute the follower and following counters of users from the edges
+const syncFollowCounts = async (userIds) => {
+  await Promise.all(userIds.map(async (userId) => {
+    const [followerCount, followingCount] = await Promise.all([
+      Follow.countDocuments({ following: userId }),
+      Follow.countDocuments({ follower: userId })
+    ]);
+    
+    await User.updateOne({ _id: userId }, { $set: { followerCount, followingCount } });
+  }));
+};
+
+// Apply a changed follow edge to the counters of both users. The edges are
+// the source of truth, so if the update fails part way the counters are
+// recomputed from them rather than left out of step.
+const updateFollowCounts = async (followerId, followingId, delta) => {
+  try {
+    await User.bulkWrite([
+      { updateOne: { filter: { _id: followerId }, update: { $inc: { followingCount: delta } } } },
+      { updateOne: { filter: { _id: followingId }, update: { $inc: { followerCount: delta } } } }
+    ]);
+  } catch (error) {
+    console.error('Follow counter update error:', error.message);
+    await syncFollowCounts([followerId, followingId]);
+  }
+};
+
+// Create a follow edge and update the counters.
+// Returns false if the edge already existed.
+const follow = async (followerId, followingId) => {
+  const result = await Follow.updateOne(
+    { follower: followerId, following: followingId },
+    { $setOnInsert: { follower: followerId, following: followingId } },
+    { upsert: true }
+  );
+  
+  if (result.upsertedCount === 0) {
+    return false;
+  }
+  
+  await updateFollowCounts(followerId, followingId, 1);
+  recordFollowerChange(followingId, 1);
+  
+  return true;
+};
+
+// Delete a follow edge and update the counters.
+// Returns false if there was no edge to delete.
+const unfollow = async (followerId, followingId) => {
+  const edge = await Follow.findOneAndDelete({ follower: followerId, following: followingId });
+  
+  if (!edge) {
+    return false;
+  }
+  
+  await updateFollowCounts(followerId, followingId, -1);
+  recordFollowerChange(followingId, -1);
+  
+  return true;
+};
+
+// Check if a user follows another user
+const isFollowing = async (followerId, followingId) => {
+  if (!followerId || !followingId) {
+    return false;
+  }
+  
+  return (await Follow.exists({ follower: followerId, following: followingId })) !== null;
+};
+
+// Get the ids of all users a user follows
+const getFollowingIds = (userId) => Follow.find({ follower: userId }).distinct('following');
+
+// Get the relationship between a viewer and a set of users.
+// Returns sets of stringified ids the viewer follows and that follow the viewer.
+const getRelationships = async (viewerId, userIds) => {
+  if (!viewerId || userIds.length === 0) {
+    return { following: new Set(), followedBy: new Set() };
+  }
+  
+  const [following, followedBy] = await Promise.all([
+    Follow.find({ follower: viewerId, following: { $in: userIds } }).distinct('following'),
+    Follow.find({ following: viewerId, follower: { $in: userIds } }).distinct('follower')
+  ]);
+  
+  return {
+    following: new Set(following.map(id => id.toString())),
+    followedBy: new Set(followedBy.map(id => id.toString()))
+  };
+};
+
+// Remove every follow edge of a user (e.g. when the account is purged)
+// and fix the counters of the other side
+const removeAllFollows = async (userId) => {
+  const [followingIds, followerIds] = await Promise.all([
+    getFollowingIds(userId),
+    Follow.find({ following: userId }).distinct('follower')
+  ]);
+  
+  await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+  
+  await User.updateMany({ _id: { $in: followingIds } }, { $inc: { followerCount: -1 } });
+  await User.updateMany({ _id: { $in: followerIds } }, { $inc: { followingCount: -1 } });
+};
+
+module.exports = {
+  follow,
+  unfollow,
+  isFollowing,
+  getFollowingIds,
+  getRelationships,
+  removeAllFollows
+};
@@ -0,0 +1,38 @@
+const { processScheduledDeletions } = require('./accountDeletion');
+const { processEndedPolls } = require('./polls');
+const { processPendingMedia } = require('./media');
+
+// Recurring background jobs
+const jobs = [
+  {
+    name: 'account-deletion',
+    intervalMs: 60 * 60 * 1000, // every hour
+    run: processScheduledDeletions
+  },
+  {
+    name: 'poll-end',
+    intervalMs: 60 * 1000, // every minute
+    run: processEndedPolls
+  },
+  {
+    name: 'media-processing',
+    intervalMs: 60 * 1000, // every minute
+    run: processPendingMedia
+  }
+];
+
+// Start all background jobs
+const startJobs = () => {
+  jobs.forEach(job => {
+    const runJob = () => {
+      job.run().catch(err => console.error(`Job ${job.name} failed:`, err.message));
+    };
+    
+    setInterval(runJob, job.intervalMs).unref();
+    runJob();
+  });
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,69 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendMail } = require('./mailer');
+
+// Send an error response for a locked account
+const sendLockedResponse = (res, lockUntil) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+  
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(423).json({
+    message: `Account temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+    lockUntil
+  });
+};
+
+// Send an error response for a suspended account
+const sendSuspendedResponse = (res, user) => {
+  return res.status(403).json({
+    message: 'Your account has been suspended',
+    reason: user.suspensionReason || null,
+    suspendedUntil: user.suspendedUntil || null
+  });
+};
+
+// Tell the user about the lockout in-app and by email
+const notifyLockout = async (user, lockUntil, req) => {
+  const message = `Your account was temporarily locked until ${lockUntil.toISOString()} after repeated failed login attempts from ${req.ip || 'an unknown address'}.`;
+  
+  await Notification.create({
+    recipient: user._id,
+    type: 'security',
+    message
+  });
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Your Chirp Social account was temporarily locked',
+    text: `Hi ${user.name},\n\n${message}\n\nIf this was not you, we recommend resetting your password and enabling two-factor authentication.`
+  });
+};
+
+// Record a failed login attempt and notify the user if it caused a lockout
+const recordFailedLogin = async (user, req) => {
+  const lockUntil = await User.registerFailedLogin(user._id);
+  
+  if (lockUntil) {
+    try {
+      await notifyLockout(user, lockUntil, req);
+    } catch (error) {
+      console.error('Lockout notification error:', error.message);
+    }
+  }
+  
+  return lockUntil;
+};
+
+// Clear failed login tracking after a successful login
+const clearFailedLogins = async (user) => {
+  if (user.failedLoginAttempts || user.lockUntil) {
+    await User.resetFailedLogins(user._id);
+  }
+};
+
+module.exports = {
+  sendLockedResponse,
+  sendSuspendedResponse,
+  recordFailedLogin,
+  clearFailedLogins
+};
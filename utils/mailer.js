@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Directory used by the file transport (local development and tests),
+// outside the repository by default
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'chirp-outbox');
+
+// Built-in transports. Each receives a message ({ from, to, subject, text, html })
+const transports = {
+  // Print the message to the console
+  console: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  },
+  
+  // Write the message as a JSON file to the outbox directory
+  file: async (message) => {
+    const outboxDir = getOutboxDir();
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+// Register a custom transport (e.g. SMTP or a provider API)
+const registerTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  
+  transports[name] = transport;
+};
+
+// Send an email through the transport selected by MAIL_TRANSPORT
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+  
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+  
+  await transport({
+    from: process.env.MAIL_FROM || 'Chirp Social <no-reply@chirp.social>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+const Tweet = require('../models/Tweet');
+const { MAX_MEDIA_ITEMS } = require('../models/Tweet');
+
+// Cloudinary folder of tweet media
+const MEDIA_FOLDER = 'chirp-social/tweets';
+
+// Accepted formats and size limits per media type
+const MEDIA_FORMATS = {
+  image: {
+    mimetypes: ['image/jpeg', 'image/png', 'image/webp'],
+    extensions: ['.jpg', '.jpeg', '.png', '.webp'],
+    maxSize: 5 * 1024 * 1024 // 5MB
+  },
+  gif: {
+    mimetypes: ['image/gif'],
+    extensions: ['.gif'],
+    maxSize: 15 * 1024 * 1024 // 15MB
+  },
+  video: {
+    mimetypes: ['video/mp4', 'video/quicktime'],
+    extensions: ['.mp4', '.mov'],
+    maxSize: 100 * 1024 * 1024 // 100MB
+  }
+};
+
+// Largest file accepted for any media type
+const MAX_MEDIA_FILE_SIZE = Math.max(...Object.values(MEDIA_FORMATS).map(format => format.maxSize));
+
+const MAX_ALT_TEXT_LENGTH = 1000;
+
+// Videos still processing after this long are marked as failed
+const MEDIA_PROCESSING_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Number of processing tweets checked per job run
+const MEDIA_BATCH_SIZE = 50;
+
+// Get the media type of an uploaded file, or null if it is not supported
+const getMediaType = (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  
+  const type = Object.keys(MEDIA_FORMATS).find(key => (
+    MEDIA_FORMATS[key].mimetypes.includes(file.mimetype) &&
+    MEDIA_FORMATS[key].extensions.includes(extension)
+  ));
+  
+  return type || null;
+};
+
+// Read the alt texts of uploaded media, sent as an array (JSON or repeated
+// form fields), a JSON encoded array or a single string for one file.
+// Returns { altTexts } or { error }.
+const parseAltTexts = (altText, fileCount) => {
+  if (altText === undefined || altText === '') {
+    return { altTexts: [] };
+  }
+  
+  let altTexts = altText;
+  
+  if (typeof altTexts === 'string') {
+    try {
+      altTexts = JSON.parse(altTexts);
+    } catch (error) {
+      altTexts = [altTexts];
+    }
+  }
+  
+  if (!Array.isArray(altTexts) || altTexts.some(text => typeof text !== 'string')) {
+    return { error: 'altText must be an array of strings' };
+  }
+  
+  if (altTexts.length > fileCount) {
+    return { error: 'altText has more entries than there are media files' };
+  }
+  
+  if (altTexts.some(text => text.length > MAX_ALT_TEXT_LENGTH)) {
+    return { error: `Alt text cannot be more than ${MAX_ALT_TEXT_LENGTH} characters` };
+  }
+  
+  return { altTexts };
+};
+
+// Check uploaded media files and their alt texts before storing them.
+// Returns { altTexts } or { error }.
+const checkMediaUpload = (files, altText) => {
+  const types = files.map(getMediaType);
+  
+  if (types.includes(null)) {
+    return { error: 'Unsupported media type' };
+  }
+  
+  const combinationError = Tweet.getMediaCombinationError(types);
+  
+  if (combinationError) {
+    return { error: combinationError };
+  }
+  
+  const oversized = files.find((file, index) => file.size > MEDIA_FORMATS[types[index]].maxSize);
+  
+  if (oversized) {
+    const type = types[files.indexOf(oversized)];
+    return { error: `${oversized.originalname} is larger than ${MEDIA_FORMATS[type].maxSize / (1024 * 1024)}MB` };
+  }
+  
+  return parseAltTexts(altText, files.length);
+};
+
+// Cloudinary upload options per media type
+const uploadOptions = (type) => {
+  if (type === 'video') {
+    // Transcode videos in the background; they are processing until done
+    return {
+      folder: MEDIA_FOLDER,
+      resource_type: 'video',
+      eager: [{ format: 'mp4', quality: 'auto' }],
+      eager_async: true
+    };
+  }
+  
+  return {
+    folder: MEDIA_FOLDER,
+    resource_type: 'image',
+    ...(type === 'image' && { transformation: [{ width: 1200, crop: 'limit' }] })
+  };
+};
+
+// Delete stored media assets from Cloudinary
+const destroyMedia = (items) => {
+  return Promise.all(items.map(item => (
+    cloudinary.uploader.destroy(item.publicId, {
+      resource_type: item.type === 'video' ? 'video' : 'image'
+    }).catch(err => console.error('Media cleanup error:', err.message))
+  )));
+};
+
+// Upload checked media files to Cloudinary and build the tweet's media
+// items. Assets already uploaded are removed if a later upload fails.
+const uploadMedia = async (files, altTexts = []) => {
+  const media = [];
+  
+  try {
+    for (const [index, file] of files.entries()) {
+      const type = getMediaType(file);
+      const result = await cloudinary.uploader.upload(file.path, uploadOptions(type));
+      
+      media.push({
+        type,
+        url: result.secure_url,
+        publicId: result.public_id,
+        width: result.width,
+        height: result.height,
+        duration: result.duration,
+        altText: altTexts[index] || '',
+        status: type === 'video' ? 'processing' : 'ready'
+      });
+    }
+  } catch (error) {
+    await destroyMedia(media);
+    throw error;
+  }
+  
+  return media;
+};
+
+// Remove the temporary files of an upload
+const removeTempFiles = (files = []) => {
+  return Promise.all(files.map(file => (
+    fs.promises.unlink(file.path).catch(() => {})
+  )));
+};
+
+// Format a media item for the frontend
+const formatMedia = (item) => ({
+  type: item.type,
+  url: item.url,
+  width: item.width,
+  height: item.height,
+  duration: item.duration,
+  altText: item.altText,
+  status: item.status
+});
+
+// Mark videos as ready once Cloudinary has transcoded them, or as failed
+// if that takes too long
+const processPendingMedia = async () => {
+  const tweets = await Tweet.find({ 'media.status': 'processing' })
+    .select('_id media createdAt')
+    .limit(MEDIA_BATCH_SIZE);
+  
+  for (const tweet of tweets) {
+    for (const item of tweet.media.filter(media => media.status === 'processing')) {
+      const resource = await cloudinary.api.resource(item.publicId, { resource_type: 'video' })
+        .catch(() => null);
+      const derived = resource && resource.derived && resource.derived[0];
+      
+      let update = null;
+      
+      if (derived) {
+        update = { 'media.$.status': 'ready', 'media.$.url': derived.secure_url };
+      } else if (Date.now() - tweet.createdAt.getTime() > MEDIA_PROCESSING_TIMEOUT_MS) {
+        update = { 'media.$.status': 'failed' };
+      }
+      
+      if (update) {
+        await Tweet.updateOne({ _id: tweet._id, 'media.publicId': item.publicId }, { $set: update });
+      }
+    }
+  }
+};
+
+module.exports = {
+  MEDIA_FOLDER,
+  MAX_MEDIA_ITEMS,
+  MAX_MEDIA_FILE_SIZE,
+  getMediaType,
+  checkMediaUpload,
+  uploadMedia,
+  destroyMedia,
+  removeTempFiles,
+  formatMedia,
+  processPendingMedia
+};
@@ -0,0 +1,97 @@
+const Mute = require('../models/Mute');
+const { extractHashtags, tokenize } = require('./text');
+
+// Empty mute set for anonymous viewers
+const NO_MUTES = { accountIds: [], keywords: [] };
+
+// Get the active mutes of a user for a context ('timeline' or 'notifications')
+const getActiveMutes = async (userId, context) => {
+  if (!userId) {
+    return NO_MUTES;
+  }
+  
+  const mutes = await Mute.find({
+    user: userId,
+    scope: { $in: [context, 'both'] },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  
+  return {
+    accountIds: mutes
+      .filter(mute => mute.kind === 'account')
+      .map(mute => mute.target),
+    keywords: mutes
+      .filter(mute => mute.kind === 'keyword')
+      .map(mute => (
+        mute.keyword.startsWith('#')
+          ? { hashtag: mute.keyword.slice(1) }
+          : { tokens: tokenize(mute.keyword) }
+      ))
+  };
+};
+
+// Check if a sequence of words appears in a list of words
+const containsPhrase = (words, phrase) => {
+  if (phrase.length === 0) {
+    return false;
+  }
+  
+  for (let i = 0; i <= words.length - phrase.length; i++) {
+    if (phrase.every((word, j) => words[i + j] === word)) {
+      return true;
+    }
+  }
+  
+  return false;
+};
+
+// Check if text matches any muted keyword. Hashtags are matched the same
+// way the Tweet model extracts them; words and phrases on whole words.
+const matchesMutedKeyword = (text, keywords) => {
+  if (!text || keywords.length === 0) {
+    return false;
+  }
+  
+  const hashtags = extractHashtags(text);
+  const words = tokenize(text);
+  
+  return keywords.some(keyword => (
+    keyword.hashtag
+      ? hashtags.includes(keyword.hashtag)
+      : containsPhrase(words, keyword.tokens)
+  ));
+};
+
+// Get the id of a possibly populated reference
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Check if a tweet (or the tweet it retweets) is muted
+const isTweetMuted = (tweet, mutes) => {
+  if (!tweet) {
+    return false;
+  }
+  
+  const mutedAccounts = new Set(mutes.accountIds.map(id => id.toString()));
+  const candidates = [tweet, tweet.originalTweet].filter(Boolean);
+  
+  return candidates.some(candidate => (
+    (candidate.author && mutedAccounts.has(getId(candidate.author).toString())) ||
+    matchesMutedKeyword(candidate.text, mutes.keywords)
+  ));
+};
+
+// Remove muted tweets from a list
+const filterMutedTweets = (tweets, mutes) => {
+  if (mutes.accountIds.length === 0 && mutes.keywords.length === 0) {
+    return tweets;
+  }
+  
+  return tweets.filter(tweet => !isTweetMuted(tweet, mutes));
+};
+
+module.exports = {
+  getActiveMutes,
+  matchesMutedKeyword,
+  isTweetMuted,
+  filterMutedTweets
+};
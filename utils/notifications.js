@@ -0,0 +1,16 @@
+const Notification = require('../models/Notification');
+const { isBlockedBetween } = require('./blocks');
+
+// Create a notification unless the sender and recipient are blocked.
+// Returns the notification, or null if it was suppressed.
+const createNotification = async (data) => {
+  if (data.sender && await isBlockedBetween(data.sender, data.recipient)) {
+    return null;
+  }
+  
+  return Notification.create(data);
+};
+
+module.exports = {
+  createNotification
+};
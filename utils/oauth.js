@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+
+// Built-in provider presets. Any other provider name is treated as a
+// generic OpenID Connect provider configured through OAUTH_<NAME>_ISSUER.
+const PRESETS = {
+  google: {
+    issuer: 'https://accounts.google.com',
+    scopes: ['openid', 'email', 'profile']
+  },
+  github: {
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userinfoEndpoint: 'https://api.github.com/user',
+    scopes: ['read:user', 'user:email'],
+    // GitHub is plain OAuth2, so its profile needs to be mapped by hand
+    getProfile: async (accessToken) => {
+      const headers = {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/vnd.github+json'
+      };
+      const user = await fetchJson('https://api.github.com/user', { headers });
+      const emails = await fetchJson('https://api.github.com/user/emails', { headers });
+      const primaryEmail = emails.find(email => email.primary) || emails[0] || {};
+      
+      return {
+        subject: String(user.id),
+        email: primaryEmail.email || user.email,
+        emailVerified: Boolean(primaryEmail.verified),
+        name: user.name || user.login,
+        preferredUsername: user.login,
+        picture: user.avatar_url
+      };
+    }
+  }
+};
+
+// Providers registered at runtime with registerProvider
+const customProviders = {};
+
+// Cache of OpenID Connect discovery documents
+const discoveryCache = new Map();
+
+// Fetch JSON and fail on non-2xx responses
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  
+  if (!response.ok) {
+    const error = new Error(`OAuth request to ${url} failed with status ${response.status}`);
+    error.statusCode = 502;
+    throw error;
+  }
+  
+  return response.json();
+};
+
+// Read provider settings from the environment
+const getEnvConfig = (name) => {
+  const prefix = `OAUTH_${name.toUpperCase()}_`;
+  const env = (key) => process.env[`${prefix}${key}`];
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  
+  return {
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    issuer: env('ISSUER'),
+    authorizationEndpoint: env('AUTHORIZATION_URL'),
+    tokenEndpoint: env('TOKEN_URL'),
+    userinfoEndpoint: env('USERINFO_URL'),
+    scopes: env('SCOPES') ? env('SCOPES').split(/[\s,]+/) : undefined,
+    redirectUri: env('REDIRECT_URI') || `${clientUrl}/oauth/callback/${name}`
+  };
+};
+
+// Names of the enabled providers
+const getEnabledProviders = () => {
+  const fromEnv = (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  
+  return [...new Set([...fromEnv, ...Object.keys(customProviders)])];
+};
+
+// Register a provider programmatically (overrides presets and env config)
+const registerProvider = (name, config) => {
+  customProviders[name.toLowerCase()] = config;
+  discoveryCache.delete(name.toLowerCase());
+};
+
+// Resolve the full configuration of an enabled provider, or null
+const getProvider = async (name) => {
+  const providerName = String(name).toLowerCase();
+  
+  if (!getEnabledProviders().includes(providerName)) {
+    return null;
+  }
+  
+  const envConfig = Object.fromEntries(
+    Object.entries(getEnvConfig(providerName)).filter(([, value]) => value !== undefined)
+  );
+  
+  const config = {
+    name: providerName,
+    scopes: ['openid', 'email', 'profile'],
+    ...PRESETS[providerName],
+    ...envConfig,
+    ...customProviders[providerName]
+  };
+  
+  // Fill in endpoints from the OpenID Connect discovery document
+  if (config.issuer && (!config.authorizationEndpoint || !config.tokenEndpoint)) {
+    if (!discoveryCache.has(providerName)) {
+      const issuer = config.issuer.replace(/\/$/, '');
+      discoveryCache.set(providerName, await fetchJson(`${issuer}/.well-known/openid-configuration`));
+    }
+    
+    const discovery = discoveryCache.get(providerName);
+    config.authorizationEndpoint = config.authorizationEndpoint || discovery.authorization_endpoint;
+    config.tokenEndpoint = config.tokenEndpoint || discovery.token_endpoint;
+    config.userinfoEndpoint = config.userinfoEndpoint || discovery.userinfo_endpoint;
+  }
+  
+  if (!config.clientId || !config.authorizationEndpoint || !config.tokenEndpoint) {
+    const error = new Error(`OAuth provider ${providerName} is not fully configured`);
+    error.statusCode = 500;
+    throw error;
+  }
+  
+  return config;
+};
+
+// Generate a PKCE verifier/challenge pair (S256)
+const generatePkce = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  
+  return { codeVerifier, codeChallenge };
+};
+
+// Build the URL the user is sent to for authorization
+const buildAuthorizationUrl = (provider, { state, codeChallenge }) => {
+  const url = new URL(provider.authorizationEndpoint);
+  
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes.join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  
+  return url.toString();
+};
+
+// Exchange an authorization code for tokens
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+  
+  const tokens = await fetchJson(provider.tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body
+  });
+  
+  if (!tokens.access_token) {
+    const error = new Error('OAuth provider did not return an access token');
+    error.statusCode = 502;
+    throw error;
+  }
+  
+  return tokens;
+};
+
+// Fetch the external profile in a normalized shape
+const fetchProfile = async (provider, accessToken) => {
+  if (provider.getProfile) {
+    return provider.getProfile(accessToken);
+  }
+  
+  const claims = await fetchJson(provider.userinfoEndpoint, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json'
+    }
+  });
+  
+  return {
+    subject: String(claims.sub),
+    email: claims.email,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || claims.given_name || claims.preferred_username,
+    preferredUsername: claims.preferred_username || claims.nickname,
+    picture: claims.picture
+  };
+};
+
+module.exports = {
+  getEnabledProviders,
+  registerProvider,
+  getProvider,
+  generatePkce,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchProfile
+};
@@ -0,0 +1,19 @@
+const validator = require('validator');
+const { sendMail } = require('./mailer');
+
+// Send the password reset link to the user's email address
+const sendPasswordResetEmail = async (user, resetToken) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const resetUrl = `${clientUrl}/reset-password?token=${encodeURIComponent(resetToken)}`;
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Chirp Social password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires soon and can only be used once. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${validator.escape(user.name)},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${resetUrl}">Reset password</a></p><p>This link expires soon and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail
+};
@@ -0,0 +1,35 @@
+// Roles in order of increasing privilege
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'moderate:tweets',
+    'suspend:users'
+  ],
+  admin: [
+    'moderate:tweets',
+    'suspend:users',
+    'verify:users',
+    'manage:roles'
+  ]
+};
+
+// Check if a user's role grants a permission
+const hasPermission = (user, permission) => {
+  const permissions = ROLE_PERMISSIONS[user.role] || [];
+  return permissions.includes(permission);
+};
+
+// Check if one user's role outranks another's
+const outranks = (user, otherUser) => {
+  return ROLES.indexOf(user.role) > ROLES.indexOf(otherUser.role);
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  outranks
+};
@@ -0,0 +1,209 @@
+const Tweet = require('../models/Tweet');
+const PollVote = require('../models/PollVote');
+const Notification = require('../models/Notification');
+const { MIN_POLL_OPTIONS, MAX_POLL_OPTIONS } = require('../models/Tweet');
+const { getBlockedUserIds } = require('./blocks');
+
+// Allowed poll durations in minutes (5 minutes to 7 days, 1 day by default)
+const MIN_POLL_MINUTES = 5;
+const MAX_POLL_MINUTES = 7 * 24 * 60;
+const DEFAULT_POLL_MINUTES = 24 * 60;
+
+// Number of ended polls processed per job run
+const POLL_BATCH_SIZE = 100;
+
+// Get the id of a possibly populated reference
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Read a poll from a tweet request body. Options may be sent as an array
+// (JSON or repeated form fields) or as a JSON encoded string.
+// Returns { poll } (null without options) or { error }.
+const parsePoll = ({ pollOptions, pollDurationMinutes }) => {
+  if (pollOptions === undefined || pollOptions === '') {
+    return { poll: null };
+  }
+  
+  let options = pollOptions;
+  
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (error) {
+      return { error: 'pollOptions must be an array' };
+    }
+  }
+  
+  if (!Array.isArray(options) || options.some(option => typeof option !== 'string' || !option.trim())) {
+    return { error: 'pollOptions must be an array of option texts' };
+  }
+  
+  if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    return { error: `A poll must have between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options` };
+  }
+  
+  const minutes = pollDurationMinutes === undefined ? DEFAULT_POLL_MINUTES : Number(pollDurationMinutes);
+  
+  if (!Number.isInteger(minutes) || minutes < MIN_POLL_MINUTES || minutes > MAX_POLL_MINUTES) {
+    return { error: `pollDurationMinutes must be a whole number between ${MIN_POLL_MINUTES} and ${MAX_POLL_MINUTES}` };
+  }
+  
+  return {
+    poll: {
+      options: options.map(text => ({ text })),
+      endsAt: new Date(Date.now() + minutes * 60 * 1000)
+    }
+  };
+};
+
+// Check if a poll is closed for voting
+const isPollClosed = (poll) => poll.endsAt <= new Date();
+
+// Format a poll for a viewer, given the option the viewer voted for (if
+// any). Vote counts are only shown once the viewer has voted or the poll
+// has closed (and always to the author, who cannot vote).
+const formatPoll = (poll, viewerId, authorId, viewerChoice = null) => {
+  const hasVoted = viewerChoice !== null && viewerChoice !== undefined;
+  const isClosed = isPollClosed(poll);
+  const isAuthor = Boolean(viewerId && authorId && getId(authorId).toString() === viewerId.toString());
+  const resultsVisible = isClosed || hasVoted || isAuthor;
+  
+  return {
+    options: poll.options.map((option, index) => ({
+      index,
+      text: option.text,
+      ...(resultsVisible && {
+        votes: option.votes,
+        percentage: poll.totalVotes > 0 ? Math.round((option.votes / poll.totalVotes) * 1000) / 10 : 0
+      })
+    })),
+    totalVotes: poll.totalVotes,
+    endsAt: poll.endsAt,
+    isClosed,
+    resultsVisible,
+    viewerChoice: hasVoted ? viewerChoice : null
+  };
+};
+
+// Get the options a viewer voted for in the polls of loaded tweets (and the
+// tweets they retweet or quote). Returns a map of tweet id to option index.
+const getViewerPollVotes = async (viewerId, tweets) => {
+  if (!viewerId) {
+    return new Map();
+  }
+  
+  const pollTweetIds = tweets
+    .filter(Boolean)
+    .flatMap(tweet => [
+      tweet,
+      tweet.originalTweet,
+      tweet.quotedTweet,
+      tweet.originalTweet && tweet.originalTweet.quotedTweet
+    ])
+    .filter(tweet => tweet && tweet.poll)
+    .map(tweet => tweet._id);
+  
+  if (pollTweetIds.length === 0) {
+    return new Map();
+  }
+  
+  const votes = await PollVote.find({ user: viewerId, tweet: { $in: pollTweetIds } }).select('tweet option');
+  
+  return new Map(votes.map(vote => [vote.tweet.toString(), vote.option]));
+};
+
+// Record a vote. The unique vote index allows one vote per user; the
+// counters are only updated while the poll is open.
+// Returns the updated tweet, or null if the poll has closed or the user
+// has already voted.
+const castVote = async (tweetId, userId, option) => {
+  const result = await PollVote.updateOne(
+    { tweet: tweetId, user: userId },
+    { $setOnInsert: { tweet: tweetId, user: userId, option } },
+    { upsert: true }
+  );
+  
+  if (result.upsertedCount === 0) {
+    return null;
+  }
+  
+  const tweet = await Tweet.findOneAndUpdate(
+    { _id: tweetId, 'poll.endsAt': { $gt: new Date() } },
+    { $inc: { [`poll.options.${option}.votes`]: 1, 'poll.totalVotes': 1 } },
+    { new: true }
+  );
+  
+  // The poll closed in the meantime
+  if (!tweet) {
+    await PollVote.deleteOne({ tweet: tweetId, user: userId });
+  }
+  
+  return tweet;
+};
+
+// Remove all of a user's poll votes, together with the votes they counted for
+const removeUserVotes = async (userId) => {
+  const votes = await PollVote.find({ user: userId }).select('tweet option');
+  
+  if (votes.length > 0) {
+    await Tweet.bulkWrite(votes.map(vote => ({
+      updateOne: {
+        filter: { _id: vote.tweet, 'poll.totalVotes': { $gt: 0 } },
+        update: { $inc: { [`poll.options.${vote.option}.votes`]: -1, 'poll.totalVotes': -1 } }
+      }
+    })));
+  }
+  
+  await PollVote.deleteMany({ user: userId });
+};
+
+// Notify the author and voters of polls that have ended
+const processEndedPolls = async () => {
+  const tweets = await Tweet.find({
+    'poll.endsAt': { $lte: new Date() },
+    'poll.endNotifiedAt': null
+  })
+    .select('_id author')
+    .limit(POLL_BATCH_SIZE);
+  
+  for (const tweet of tweets) {
+    // Claim the poll so each one is only announced once
+    const claimed = await Tweet.updateOne(
+      { _id: tweet._id, 'poll.endNotifiedAt': null },
+      { $set: { 'poll.endNotifiedAt': new Date() } }
+    );
+    
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+    
+    // Voters in a block with the author are not notified
+    const blockedIds = (await getBlockedUserIds(tweet.author)).map(id => id.toString());
+    const voterIds = (await PollVote.find({ tweet: tweet._id }).distinct('user'))
+      .filter(userId => userId.toString() !== tweet.author.toString() && !blockedIds.includes(userId.toString()));
+    
+    await Notification.insertMany([
+      {
+        recipient: tweet.author,
+        type: 'poll_ended',
+        tweet: tweet._id,
+        message: 'Your poll has ended. See the final results.'
+      },
+      ...voterIds.map(userId => ({
+        recipient: userId,
+        type: 'poll_ended',
+        tweet: tweet._id,
+        message: 'A poll you voted in has ended. See the final results.'
+      }))
+    ]);
+  }
+};
+
+module.exports = {
+  parsePoll,
+  isPollClosed,
+  formatPoll,
+  getViewerPollVotes,
+  castVote,
+  removeUserVotes,
+  processEndedPolls
+};
@@ -0,0 +1,273 @@
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const { getBlockedUserIds } = require('./blocks');
+const { getActiveMutes } = require('./mutes');
+
+// How long a dismissed suggestion stays hidden
+const DISMISSAL_DAYS = Number(process.env.SUGGESTION_DISMISSAL_DAYS) || 90;
+
+// How far back tweets and interactions count as interests
+const INTEREST_WINDOW_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Number of most recent follows used to find friends-of-friends
+const MAX_FOLLOWS_SAMPLED = 500;
+
+// Number of candidates kept from each signal before ranking
+const CANDIDATE_POOL_SIZE = 200;
+
+// Score given to each signal
+const WEIGHTS = {
+  mutual: 3, // per followed account that follows the candidate
+  hashtag: 2, // per hashtag shared with the viewer's recent tweets
+  engagement: 1 // per like, retweet or reply on the candidate's tweets
+};
+
+// Cap on the engagement score so a single thread does not dominate
+const MAX_ENGAGEMENT_SCORE = 10;
+
+// Get the ids of users that must never be suggested to a user. Followed
+// accounts are left out and dropped per candidate with notFollowedBy() instead,
+// so the user's whole following list is never loaded.
+const getExcludedIds = async (userId) => {
+  const [blockedIds, mutes, dismissedIds, requestedIds] = await Promise.all([
+    getBlockedUserIds(userId),
+    getActiveMutes(userId, 'timeline'),
+    SuggestionDismissal.find({ user: userId, expiresAt: { $gt: new Date() } }).distinct('dismissed'),
+    FollowRequest.find({ requester: userId }).distinct('target')
+  ]);
+  
+  return [userId, ...blockedIds, ...mutes.accountIds, ...dismissedIds, ...requestedIds];
+};
+
+// Aggregation stages dropping the grouped candidates the user already
+// follows, each checked against the follow edge index
+const notFollowedBy = (userId) => [
+  {
+    $lookup: {
+      from: Follow.collection.name,
+      localField: '_id',
+      foreignField: 'following',
+      pipeline: [{ $match: { follower: userId } }, { $limit: 1 }, { $project: { _id: 1 } }],
+      as: 'followedEdge'
+    }
+  },
+  { $match: { followedEdge: { $size: 0 } } },
+  { $unset: 'followedEdge' }
+];
+
+// Candidates followed by the accounts the user follows
+const findFriendsOfFriends = async (userId, followingIds, excludedIds) => {
+  if (followingIds.length === 0) {
+    return [];
+  }
+  
+  return Follow.aggregate([
+    { $match: { follower: { $in: followingIds }, following: { $nin: excludedIds } } },
+    { $group: { _id: '$following', count: { $sum: 1 }, via: { $push: '$follower' } } },
+    ...notFollowedBy(userId),
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATE_POOL_SIZE }
+  ]);
+};
+
+// Candidates tweeting about the hashtags the user recently tweeted about
+const findSharedHashtags = async (userId, excludedIds, since) => {
+  const tags = await Tweet.find({ author: userId, createdAt: { $gte: since } }).distinct('hashtags');
+  
+  if (tags.length === 0) {
+    return [];
+  }
+  
+  return Tweet.aggregate([
+    { $match: { hashtags: { $in: tags }, author: { $nin: excludedIds }, createdAt: { $gte: since } } },
+    { $unwind: '$hashtags' },
+    { $match: { hashtags: { $in: tags } } },
+    { $group: { _id: '$author', tags: { $addToSet: '$hashtags' } } },
+    ...notFollowedBy(userId),
+    { $addFields: { count: { $size: '$tags' } } },
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATE_POOL_SIZE }
+  ]);
+};
+
+// Candidates whose tweets the user recently liked, retweeted or replied to
+const findEngagedAuthors = async (userId, excludedIds, since) => {
+  const parentIds = await Tweet.find({
+    author: userId,
+    isReply: true,
+    createdAt: { $gte: since }
+  }).distinct('parentTweet');
+  
+  return Tweet.aggregate([
+    {
+      $match: {
+        author: { $nin: excludedIds },
+        $or: [
+          { likes: userId, createdAt: { $gte: since } },
+          { retweets: userId, createdAt: { $gte: since } },
+          { _id: { $in: parentIds } }
+        ]
+      }
+    },
+    { $group: { _id: '$author', count: { $sum: 1 } } },
+    ...notFollowedBy(userId),
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATE_POOL_SIZE }
+  ]);
+};
+
+// Describe the strongest reason for a suggestion
+const buildReason = (candidate, usernames) => {
+  const [first, second] = candidate.via
+    .filter(id => usernames.has(id.toString()))
+    .map(id => `@${usernames.get(id.toString())}`);
+  
+  if (first) {
+    if (!second) {
+      return `Followed by ${first}`;
+    }
+    
+    if (candidate.via.length === 2) {
+      return `Followed by ${first} and ${second}`;
+    }
+    
+    return `Followed by ${first} and ${candidate.via.length - 1} others`;
+  }
+  
+  if (candidate.tags.length > 0) {
+    return `Tweets about ${candidate.tags.slice(0, 2).map(tag => `#${tag}`).join(' and ')}`;
+  }
+  
+  if (candidate.engagement > 0) {
+    return 'You interact with their tweets';
+  }
+  
+  return 'Popular on Chirp';
+};
+
+// Get ranked follow suggestions for a user, each with a reason
+const getRecommendations = async (userId, limit) => {
+  const since = new Date(Date.now() - INTEREST_WINDOW_MS);
+  
+  const excludedIds = await getExcludedIds(userId);
+  
+  // Friends-of-friends are looked up through the most recent follows only
+  const recentFollows = await Follow.find({ follower: userId })
+    .sort({ _id: -1 })
+    .limit(MAX_FOLLOWS_SAMPLED)
+    .select('following');
+  const followingIds = recentFollows.map(edge => edge.following);
+  
+  const [mutuals, hashtags, engagements] = await Promise.all([
+    findFriendsOfFriends(userId, followingIds, excludedIds),
+    findSharedHashtags(userId, excludedIds, since),
+    findEngagedAuthors(userId, excludedIds, since)
+  ]);
+  
+  // Merge the signals into one score per candidate
+  const candidates = new Map();
+  const getCandidate = (id) => {
+    const key = id.toString();
+    
+    if (!candidates.has(key)) {
+      candidates.set(key, { _id: id, score: 0, via: [], tags: [], engagement: 0 });
+    }
+    
+    return candidates.get(key);
+  };
+  
+  for (const { _id, count, via } of mutuals) {
+    const candidate = getCandidate(_id);
+    candidate.score += count * WEIGHTS.mutual;
+    candidate.via = via;
+  }
+  
+  for (const { _id, count, tags } of hashtags) {
+    const candidate = getCandidate(_id);
+    candidate.score += count * WEIGHTS.hashtag;
+    candidate.tags = tags;
+  }
+  
+  for (const { _id, count } of engagements) {
+    const candidate = getCandidate(_id);
+    candidate.engagement = Math.min(count * WEIGHTS.engagement, MAX_ENGAGEMENT_SCORE);
+    candidate.score += candidate.engagement;
+  }
+  
+  // Load the candidates, dropping unavailable accounts
+  const ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+  const users = await User.find({
+    _id: { $in: ranked.map(candidate => candidate._id) },
+    deletionScheduledAt: null
+  }).select('_id name username profileImageUrl bio isVerified isProtected followerCount suspendedAt suspendedUntil');
+  
+  const usersById = new Map(users
+    .filter(user => !user.isSuspended())
+    .map(user => [user._id.toString(), user]));
+  
+  const picked = ranked
+    .filter(candidate => usersById.has(candidate._id.toString()))
+    .slice(0, limit);
+  
+  // Fill up with popular accounts when the signals are sparse
+  if (picked.length < limit) {
+    const popular = await User.aggregate([
+      {
+        $match: {
+          _id: { $nin: [...excludedIds, ...picked.map(candidate => candidate._id)] },
+          deletionScheduledAt: null,
+          ...User.notSuspendedFilter()
+        }
+      },
+      { $sort: { followerCount: -1 } },
+      ...notFollowedBy(userId),
+      { $limit: limit - picked.length },
+      { $project: { name: 1, username: 1, profileImageUrl: 1, bio: 1, isVerified: 1, isProtected: 1, followerCount: 1 } }
+    ]);
+    
+    for (const user of popular) {
+      usersById.set(user._id.toString(), user);
+      picked.push(getCandidate(user._id));
+    }
+  }
+  
+  // Resolve the usernames of the followed accounts named in reasons
+  const viaIds = picked.flatMap(candidate => candidate.via);
+  const viaUsers = await User.find({ _id: { $in: viaIds } }).select('username');
+  const usernames = new Map(viaUsers.map(user => [user._id.toString(), user.username]));
+  
+  return picked.map(candidate => {
+    const user = usersById.get(candidate._id.toString());
+    
+    return {
+      _id: user._id,
+      name: user.name,
+      username: user.username,
+      profileImageUrl: user.profileImageUrl,
+      bio: user.bio,
+      isVerified: user.isVerified,
+      isProtected: user.isProtected,
+      followerCount: user.followerCount,
+      reason: buildReason(candidate, usernames)
+    };
+  });
+};
+
+// Hide a suggested account from a user's suggestions for a while
+const dismissRecommendation = (userId, dismissedId) => {
+  const expiresAt = new Date(Date.now() + DISMISSAL_DAYS * 24 * 60 * 60 * 1000);
+  
+  return SuggestionDismissal.updateOne(
+    { user: userId, dismissed: dismissedId },
+    { $set: { expiresAt } },
+    { upsert: true }
+  );
+};
+
+module.exports = {
+  getRecommendations,
+  dismissRecommendation
+};
@@ -0,0 +1,124 @@
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken } = require('../middleware/authMiddleware');
+const { hashToken } = require('./tokens');
+
+// Sessions live as long as their refresh token and slide on every refresh
+const SESSION_LIFETIME_MS = 60 * 24 * 60 * 60 * 1000; // 60 days
+
+// Build a readable device name from a user agent string
+const getDeviceName = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+  
+  const browser = browsers.find(([, regex]) => regex.test(userAgent));
+  const system = systems.find(([, regex]) => regex.test(userAgent));
+  
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+  
+  if (browser && system) {
+    return `${browser[0]} on ${system[0]}`;
+  }
+  
+  return (browser || system)[0];
+};
+
+// Get client details for a session from the request
+const getClientInfo = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  
+  return {
+    userAgent,
+    deviceName: getDeviceName(userAgent),
+    ip: req.ip || ''
+  };
+};
+
+// Create a new session and issue its access/refresh tokens
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + SESSION_LIFETIME_MS)
+  });
+  
+  const accessToken = generateToken(user._id, session._id);
+  const refreshToken = generateRefreshToken(user._id, session._id);
+  
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+  
+  return { accessToken, refreshToken, session };
+};
+
+// Rotate the refresh token of a session.
+// Returns null if the presented token is no longer the current one (reuse).
+const rotateSession = async (sessionId, userId, currentRefreshToken, req) => {
+  const refreshToken = generateRefreshToken(userId, sessionId);
+  const { ip } = getClientInfo(req);
+  
+  // Only succeeds while the presented token is still the current one
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      user: userId,
+      refreshTokenHash: hashToken(currentRefreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: hashToken(refreshToken),
+      lastUsedAt: new Date(),
+      ip,
+      expiresAt: new Date(Date.now() + SESSION_LIFETIME_MS)
+    },
+    { new: true }
+  );
+  
+  if (!session) {
+    return null;
+  }
+  
+  const accessToken = generateToken(userId, sessionId);
+  
+  return { accessToken, refreshToken, session };
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke all sessions of a user, optionally keeping one
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  
+  await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
@@ -1,6 +1,7 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 module.exports = (io) => {
   // Authentication middleware for Socket.io
@@ -13,12 +14,27 @@ module.exports = (io) => {
       }
       
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      
+      if (decoded.purpose || !decoded.sid) {
+        return next(new Error('Authentication error'));
+      }
+      
+      const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+      
+      if (!session || !session.isActive()) {
+        return next(new Error('Session revoked'));
+      }
+      
       const user = await User.findById(decoded.id);
       
       if (!user) {
         return next(new Error('User not found'));
       }
       
+      if (user.isSuspended()) {
+        return next(new Error('Account suspended'));
+      }
+      
       socket.user = user;
       next();
     } catch (error) {
@@ -0,0 +1,43 @@
+// Word characters, as used for hashtags (#word) and mentions (@word)
+const HASHTAG_REGEX = /#(\w+)/g;
+const MENTION_REGEX = /@(\w+)/g;
+const WORD_REGEX = /\w+/g;
+
+// Extract unique lowercase hashtags from text
+const extractHashtags = (text = '') => {
+  const hashtags = [];
+  let match;
+  
+  HASHTAG_REGEX.lastIndex = 0;
+  
+  while ((match = HASHTAG_REGEX.exec(text)) !== null) {
+    hashtags.push(match[1].toLowerCase());
+  }
+  
+  return [...new Set(hashtags)]; // Remove duplicates
+};
+
+// Extract unique lowercase mentioned usernames from text
+const extractMentions = (text = '') => {
+  const usernames = [];
+  let match;
+  
+  MENTION_REGEX.lastIndex = 0;
+  
+  while ((match = MENTION_REGEX.exec(text)) !== null) {
+    usernames.push(match[1].toLowerCase());
+  }
+  
+  return [...new Set(usernames)]; // Remove duplicates
+};
+
+// Split text into lowercase words using the same word rules as hashtags
+const tokenize = (text = '') => {
+  return (String(text).toLowerCase().match(WORD_REGEX) || []);
+};
+
+module.exports = {
+  extractHashtags,
+  extractMentions,
+  tokenize
+};
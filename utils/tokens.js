@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Generate a random URL-safe token
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Hash a token before storing it in the database
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};
@@ -0,0 +1,34 @@
+const Trending = require('../models/Trending');
+
+// Count a tweet towards the trending topics of its hashtags
+const addToTrending = async (tweetId, tags) => {
+  for (const tag of tags) {
+    // Update or create trending entry
+    await Trending.findOneAndUpdate(
+      { tag },
+      { 
+        $inc: { count: 1 },
+        $push: { tweets: tweetId }
+      },
+      { upsert: true, new: true }
+    );
+  }
+};
+
+// Stop counting a tweet towards the trending topics of its hashtags
+const removeFromTrending = async (tweetId, tags) => {
+  if (tags.length === 0) {
+    return;
+  }
+  
+  await Trending.updateMany(
+    { tag: { $in: tags }, tweets: tweetId },
+    { $pull: { tweets: tweetId }, $inc: { count: -1 } }
+  );
+  await Trending.deleteMany({ tag: { $in: tags }, count: { $lte: 0 } });
+};
+
+module.exports = {
+  addToTrending,
+  removeFromTrending
+};
@@ -0,0 +1,146 @@
+const { formatPoll, getViewerPollVotes } = require('./polls');
+const { formatMedia } = require('./media');
+
+// Fields of tweet authors shown in feeds
+const AUTHOR_FIELDS = '_id name username profileImageUrl isVerified';
+
+// Populate the quoted tweet embedded in a tweet
+const QUOTED_TWEET_POPULATE = {
+  path: 'quotedTweet',
+  populate: [
+    { path: 'author', select: AUTHOR_FIELDS },
+    { path: 'mentions', select: '_id username' }
+  ]
+};
+
+// Populate the author, mentioned users, retweeted tweet and quoted tweet
+// of feed tweets (also usable with Model.populate for aggregation results)
+const FEED_POPULATE = [
+  { path: 'author', select: AUTHOR_FIELDS },
+  { path: 'mentions', select: '_id username' },
+  {
+    path: 'originalTweet',
+    populate: [
+      { path: 'author', select: AUTHOR_FIELDS },
+      { path: 'mentions', select: '_id username' },
+      QUOTED_TWEET_POPULATE
+    ]
+  },
+  QUOTED_TWEET_POPULATE
+];
+
+// Populate a tweet query for feeds
+const populateFeedTweets = (query) => query.populate(FEED_POPULATE);
+
+// Check if a populated tweet was written by one of a set of authors
+const isByExcludedAuthor = (tweet, excludedSet) => Boolean(
+  tweet &&
+  tweet.author &&
+  excludedSet.has(tweet.author._id.toString())
+);
+
+// Drop quoted tweets by excluded authors (e.g. blocked users), leaving
+// the quote tweets themselves in place
+const hideExcludedQuotes = (tweets, excludedAuthorIds) => {
+  const excludedSet = new Set(excludedAuthorIds.map(id => id.toString()));
+  
+  for (const tweet of tweets) {
+    const shown = tweet.originalTweet || tweet;
+    
+    if (isByExcludedAuthor(shown.quotedTweet, excludedSet)) {
+      shown.quotedTweet = null;
+    }
+  }
+  
+  return tweets;
+};
+
+// Hide retweets of tweets by excluded authors (e.g. blocked users) and
+// quoted tweets by them in the remaining tweets
+const filterExcludedRetweets = (tweets, excludedAuthorIds) => {
+  const excludedSet = new Set(excludedAuthorIds.map(id => id.toString()));
+  
+  const visibleTweets = tweets.filter(tweet => !isByExcludedAuthor(tweet.originalTweet, excludedSet));
+  
+  return hideExcludedQuotes(visibleTweets, excludedAuthorIds);
+};
+
+// Hide tweets by excluded authors (e.g. protected accounts the viewer
+// cannot see), retweets of their tweets and quoted tweets by them
+const filterExcludedTweets = (tweets, excludedAuthorIds) => {
+  const excludedSet = new Set(excludedAuthorIds.map(id => id.toString()));
+  
+  const visibleTweets = tweets.filter(tweet => !isByExcludedAuthor(tweet, excludedSet));
+  
+  return filterExcludedRetweets(visibleTweets, excludedAuthorIds);
+};
+
+// Get the poll a viewer sees on a tweet, given the viewer's poll votes
+const formatTweetPoll = (tweet, viewerId, pollVotes) => formatPoll(
+  tweet.poll,
+  viewerId,
+  tweet.author,
+  pollVotes.get(tweet._id.toString())
+);
+
+// Format an embedded (retweeted or quoted) tweet like any other feed tweet,
+// so stored fields such as media ids and poll votes are never exposed.
+// References that were not populated (e.g. a quote of a quote) stay ids.
+const formatEmbeddedTweet = (tweet, viewerId, pollVotes) => {
+  if (!tweet || typeof tweet.text !== 'string') {
+    return tweet;
+  }
+  
+  return formatTweet(tweet, viewerId, pollVotes);
+};
+
+// Format a populated tweet for feeds, with the viewer's likes and retweets.
+// Pass the viewer's poll votes (see getViewerPollVotes) for tweets with polls.
+const formatTweet = (tweet, viewerId, pollVotes = new Map()) => {
+  const isLiked = viewerId ? 
+    tweet.likes.includes(viewerId) : 
+    false;
+  
+  const isRetweeted = viewerId ? 
+    tweet.retweets.includes(viewerId) : 
+    false;
+  
+  return {
+    _id: tweet._id,
+    text: tweet.text,
+    author: tweet.author,
+    media: (tweet.media || []).map(formatMedia),
+    createdAt: tweet.createdAt,
+    likes: tweet.likes.length,
+    retweets: tweet.retweets.length,
+    replies: tweet.replies.length,
+    quotes: tweet.quoteCount,
+    isLiked,
+    isRetweeted,
+    isRetweet: tweet.isRetweet,
+    originalTweet: formatEmbeddedTweet(tweet.originalTweet, viewerId, pollVotes),
+    quotedTweet: formatEmbeddedTweet(tweet.quotedTweet, viewerId, pollVotes),
+    poll: tweet.poll ? formatTweetPoll(tweet, viewerId, pollVotes) : null,
+    mentions: tweet.mentions,
+    isEdited: Boolean(tweet.editedAt),
+    editedAt: tweet.editedAt
+  };
+};
+
+// Format populated tweets for feeds, looking up the viewer's poll votes
+const formatTweets = async (tweets, viewerId) => {
+  const pollVotes = await getViewerPollVotes(viewerId, tweets);
+  
+  return tweets.map(tweet => formatTweet(tweet, viewerId, pollVotes));
+};
+
+module.exports = {
+  AUTHOR_FIELDS,
+  FEED_POPULATE,
+  populateFeedTweets,
+  hideExcludedQuotes,
+  filterExcludedRetweets,
+  filterExcludedTweets,
+  formatTweet,
+  formatTweets
+};
@@ -0,0 +1,66 @@
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const TweetStats = require('../models/TweetStats');
+const PollVote = require('../models/PollVote');
+const { removeFromTrending } = require('./trending');
+const { destroyMedia } = require('./media');
+
+// Delete a tweet and clean up everything that references it
+const removeTweet = async (tweet) => {
+  // Delete every stored media asset from cloudinary
+  if (tweet.media && tweet.media.length > 0) {
+    await destroyMedia(tweet.media);
+  }
+  
+  // Remove tweet from parent's replies if it's a reply
+  if (tweet.isReply && tweet.parentTweet) {
+    await Tweet.findByIdAndUpdate(tweet.parentTweet, {
+      $pull: { replies: tweet._id }
+    });
+  }
+  
+  // Remove tweet from original's retweets if it's a retweet
+  if (tweet.isRetweet && tweet.originalTweet) {
+    await Tweet.findByIdAndUpdate(tweet.originalTweet, {
+      $pull: { retweets: tweet.author }
+    });
+  }
+  
+  // Decrease the quote count of the quoted tweet if it's a quote tweet
+  if (tweet.quotedTweet) {
+    await Tweet.updateOne(
+      { _id: tweet.quotedTweet, quoteCount: { $gt: 0 } },
+      { $inc: { quoteCount: -1 } }
+    );
+  }
+  
+  // Delete retweets of this tweet
+  const retweets = await Tweet.find({ isRetweet: true, originalTweet: tweet._id }).select('_id');
+  
+  if (retweets.length > 0) {
+    const retweetIds = retweets.map(retweet => retweet._id);
+    await Notification.deleteMany({ tweet: { $in: retweetIds } });
+    await Tweet.deleteMany({ _id: { $in: retweetIds } });
+  }
+  
+  // Remove tweet from trending topics
+  if (tweet.hashtags && tweet.hashtags.length > 0) {
+    await removeFromTrending(tweet._id, tweet.hashtags);
+  }
+  
+  // Unpin the tweet from its author's profile
+  await User.updateOne({ _id: tweet.author, pinnedTweet: tweet._id }, { pinnedTweet: null });
+  
+  // Delete related notifications, analytics and poll votes
+  await Notification.deleteMany({ tweet: tweet._id });
+  await TweetStats.deleteMany({ tweet: tweet._id });
+  await PollVote.deleteMany({ tweet: tweet._id });
+  
+  // Delete the tweet
+  await tweet.deleteOne();
+};
+
+module.exports = {
+  removeTweet
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyTotp } = require('./totp');
+const { hashToken } = require('./tokens');
+
+const CHALLENGE_PURPOSE = '2fa-challenge';
+const RECOVERY_CODE_COUNT = 10;
+
+// Generate a short-lived token proving the password step succeeded
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ id: userId, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Verify a two-factor challenge token and return its payload
+const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  
+  return decoded;
+};
+
+// Generate one-time recovery codes. Returns plain codes and their hashes.
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code))
+  };
+};
+
+// Check a TOTP or recovery code for a user loaded with its 2FA fields.
+// Used TOTP steps and recovery codes are claimed with a single conditional
+// write, so concurrent requests cannot both accept the same code.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+    
+    if (step === null) {
+      return false;
+    }
+    
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+    
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+  
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+    
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(storedHash => storedHash !== hash);
+    return true;
+  }
+  
+  return false;
+};
+
+module.exports = {
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
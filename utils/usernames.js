@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const UsernameReservation = require('../models/UsernameReservation');
+
+const MAX_USERNAME_LENGTH = 15;
+const MAX_ATTEMPTS = 10;
+
+// Days a handle stays reserved for its previous owner after a change
+const RESERVATION_DAYS = Number(process.env.USERNAME_RESERVATION_DAYS) || 30;
+
+// Days a user has to wait between username changes
+const CHANGE_COOLDOWN_DAYS = Number(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 14;
+
+// Turn arbitrary text into a string that passes the username validator
+const sanitizeUsername = (value = '') => {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, '')
+    .slice(0, MAX_USERNAME_LENGTH);
+};
+
+// Find the active reservation of a handle, if any
+const findReservation = (username) => {
+  return UsernameReservation.findOne({
+    username: String(username).toLowerCase(),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Check if a username is free to use. Handles reserved for a previous
+// owner are only available to that owner (pass their id as userId).
+const isUsernameAvailable = async (username, userId) => {
+  if (await User.exists({ username: String(username).toLowerCase() })) {
+    return false;
+  }
+  
+  const reservation = await findReservation(username);
+  
+  return !reservation || Boolean(userId && reservation.user.toString() === userId.toString());
+};
+
+// Get the date from which a user may change their username again
+const getNextUsernameChangeAt = (user) => {
+  if (!user.usernameChangedAt) {
+    return null;
+  }
+  
+  return new Date(user.usernameChangedAt.getTime() + CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Change a user's username and record the old handle in its history.
+// Returns the old username: once the user is saved, pass it to
+// reserveUsername to keep the old handle for the user.
+const changeUsername = (user, newUsername) => {
+  const oldUsername = user.username;
+  const now = new Date();
+  
+  user.username = newUsername;
+  user.usernameChangedAt = now;
+  user.usernameHistory.push({ username: oldUsername, changedAt: now });
+  
+  return oldUsername;
+};
+
+// Reserve the previous handle of a user after a saved username change
+const reserveUsername = async (user, oldUsername) => {
+  // Reclaiming a previous handle ends its reservation
+  await UsernameReservation.deleteOne({ username: user.username, user: user._id });
+  
+  await UsernameReservation.findOneAndUpdate(
+    { username: oldUsername },
+    {
+      user: user._id,
+      expiresAt: new Date(user.usernameChangedAt.getTime() + RESERVATION_DAYS * 24 * 60 * 60 * 1000)
+    },
+    { upsert: true }
+  );
+};
+
+// Generate an unused username from the given candidates (e.g. a
+// preferred username, display name or email local part)
+const generateUniqueUsername = async (...candidates) => {
+  const bases = candidates
+    .map(sanitizeUsername)
+    .filter(base => base.length >= 3);
+  
+  if (bases.length === 0) {
+    bases.push('user');
+  }
+  
+  // Try the candidates as they are
+  for (const base of bases) {
+    if (await isUsernameAvailable(base)) {
+      return base;
+    }
+  }
+  
+  // Fall back to the first candidate with a random numeric suffix
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const suffix = String(crypto.randomInt(1000, 1000000));
+    const username = `${bases[0].slice(0, MAX_USERNAME_LENGTH - suffix.length)}${suffix}`;
+    
+    if (await isUsernameAvailable(username)) {
+      return username;
+    }
+  }
+  
+  throw new Error('Could not generate a unique username');
+};
+
+module.exports = {
+  sanitizeUsername,
+  findReservation,
+  isUsernameAvailable,
+  getNextUsernameChangeAt,
+  changeUsername,
+  reserveUsername,
+  generateUniqueUsername
+};
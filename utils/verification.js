@@ -0,0 +1,46 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const VerificationAudit = require('../models/VerificationAudit');
+
+// Set a user's verified badge, recording the change in the audit trail
+// and notifying the user. Does nothing if the badge is unchanged.
+const setVerifiedStatus = async (user, isVerified, { actor, reason = '', request } = {}) => {
+  if (user.isVerified === isVerified) {
+    return false;
+  }
+  
+  await User.updateOne({ _id: user._id }, { isVerified });
+  user.isVerified = isVerified;
+  
+  await VerificationAudit.create({
+    user: user._id,
+    action: isVerified ? 'granted' : 'revoked',
+    actor,
+    reason,
+    request
+  });
+  
+  await Notification.create({
+    recipient: user._id,
+    type: 'verification',
+    message: isVerified
+      ? 'Your account is now verified.'
+      : `Your verified badge was removed.${reason ? ` Reason: ${reason}` : ''}`
+  });
+  
+  return true;
+};
+
+// Notify a user that their verification request was rejected
+const notifyRequestRejected = (userId, reason) => {
+  return Notification.create({
+    recipient: userId,
+    type: 'verification',
+    message: `Your verification request was not approved.${reason ? ` Reason: ${reason}` : ''}`
+  });
+};
+
+module.exports = {
+  setVerifiedStatus,
+  notifyRequestRejected
+};
@@ -0,0 +1,97 @@
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { isFollowing } = require('./followGraph');
+
+// Get the id of a possibly populated reference
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Check if a viewer may see the tweets of an author.
+// The author must be a user document with isProtected loaded.
+const canViewTweetsOf = async (viewerId, author) => {
+  if (!author || !author.isProtected) {
+    return true;
+  }
+  
+  if (!viewerId) {
+    return false;
+  }
+  
+  if (getId(author).toString() === viewerId.toString()) {
+    return true;
+  }
+  
+  return isFollowing(viewerId, getId(author));
+};
+
+// Check if a viewer may see a tweet (and the tweet it retweets)
+const canViewTweet = async (viewerId, tweet) => {
+  const authorIds = [tweet.author, tweet.originalTweet && tweet.originalTweet.author]
+    .filter(Boolean)
+    .map(getId);
+  
+  const authors = await User.find({ _id: { $in: authorIds } }).select('isProtected');
+  
+  for (const author of authors) {
+    if (!(await canViewTweetsOf(viewerId, author))) {
+      return false;
+    }
+  }
+  
+  return true;
+};
+
+// Get the ids of the authors of loaded tweets and of the tweets they
+// retweet or quote
+const getTweetAuthorIds = (tweets) => {
+  const authorIds = new Map();
+  
+  const addAuthor = (tweet) => {
+    if (tweet && tweet.author) {
+      authorIds.set(getId(tweet.author).toString(), getId(tweet.author));
+    }
+  };
+  
+  for (const tweet of tweets.filter(Boolean)) {
+    const shown = tweet.originalTweet || tweet;
+    
+    addAuthor(tweet);
+    addAuthor(tweet.originalTweet);
+    addAuthor(shown.quotedTweet);
+  }
+  
+  return [...authorIds.values()];
+};
+
+// Get the ids of protected accounts among the authors of loaded tweets
+// (including retweeted and quoted tweets) whose tweets a viewer cannot see.
+// Only the authors of the given tweets are checked, so the cost is bounded
+// by the page size rather than the number of protected accounts.
+const getHiddenAuthorIds = async (viewerId, tweets) => {
+  const authorIds = getTweetAuthorIds(tweets)
+    .filter(id => !viewerId || id.toString() !== viewerId.toString());
+  
+  if (authorIds.length === 0) {
+    return [];
+  }
+  
+  const protectedIds = await User.find({ _id: { $in: authorIds }, isProtected: true }).distinct('_id');
+  
+  if (!viewerId || protectedIds.length === 0) {
+    return protectedIds;
+  }
+  
+  const followedIds = await Follow.find({
+    follower: viewerId,
+    following: { $in: protectedIds }
+  }).distinct('following');
+  
+  const visible = new Set(followedIds.map(id => id.toString()));
+  
+  return protectedIds.filter(id => !visible.has(id.toString()));
+};
+
+module.exports = {
+  canViewTweetsOf,
+  canViewTweet,
+  getHiddenAuthorIds
+};